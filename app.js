@@ -1,30 +1,153 @@
 const express = require('express');
 const dotenv = require('dotenv');
 const citiesController = require('./controllers/cities.controller');
-const { cache } = require('./utils/cache');
+const countriesController = require('./controllers/countries.controller');
+const aqiController = require('./controllers/aqi.controller');
+const statsController = require('./controllers/stats.controller');
+const subscriptionsController = require('./controllers/subscriptions.controller');
+const liveController = require('./controllers/live.controller');
+const diagnosticsController = require('./controllers/diagnostics.controller');
+const adminController = require('./controllers/admin.controller');
+const healthController = require('./controllers/health.controller');
+const { requireApiKey, requireKeyedClient } = require('./middleware/apiKeyAuth');
+const { requireAdmin } = require('./middleware/adminAuth');
+const { requestContext } = require('./middleware/requestContext');
+const pollutionService = require('./services/pollution.service');
+const prewarmService = require('./services/prewarm.service');
+const historyCollectorService = require('./services/historyCollector.service');
+const alertPollerService = require('./services/alertPoller.service');
+const apiKeyService = require('./services/apiKey.service');
+const logger = require('./utils/logger');
+const { closeCaches } = require('./utils/cache');
+const { sendError } = require('./utils/errors');
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// How long open requests and live streams may take to finish on SIGTERM/SIGINT before they are cut.
+const SHUTDOWN_GRACE_SECONDS = parseInt(process.env.SHUTDOWN_GRACE_SECONDS, 10) || 10;
 
+app.use(requestContext);
 app.use(express.json());
+app.set('trust proxy', process.env.TRUST_PROXY === 'true'); // Use X-Forwarded-For for client addresses behind a proxy
+
+// Probes and metrics are for the platform, not API clients, so they need no key and are not rate limited.
+app.get('/health', healthController.getHealth);
+app.get('/ready', healthController.getReady);
+app.get('/metrics', healthController.getMetrics);
+
+// Admin endpoints authenticate with ADMIN_API_KEY; every other endpoint needs a client API key.
+app.post('/admin/api-keys', requireAdmin, adminController.createApiKey);
+app.get('/admin/api-keys', requireAdmin, adminController.listApiKeys);
+app.get('/admin/api-keys/:id', requireAdmin, adminController.getApiKey);
+app.patch('/admin/api-keys/:id', requireAdmin, adminController.updateApiKey);
+app.delete('/admin/api-keys/:id', requireAdmin, adminController.revokeApiKey);
+app.get('/admin/usage', requireAdmin, adminController.getUsage);
+app.get('/admin/overrides', requireAdmin, adminController.listOverrides);
+app.put('/admin/overrides/:country/:name', requireAdmin, adminController.setOverride);
+app.delete('/admin/overrides/:country/:name', requireAdmin, adminController.deleteOverride);
+app.get('/admin/aliases', requireAdmin, adminController.listAliases);
+app.put('/admin/aliases/:country/:alias', requireAdmin, adminController.setAlias);
+app.delete('/admin/aliases/:country/:alias', requireAdmin, adminController.deleteAlias);
+app.get('/admin/audit', requireAdmin, adminController.getAuditLog);
+
+app.use(requireApiKey);
 
 app.get('/cities', citiesController.getPollutedCities);
+app.get('/cities/rejected', citiesController.getRejectedEntries);
+app.get('/cities/stream', liveController.streamCities);
+app.get('/cities/:country/:name', citiesController.getCityDetails);
+app.get('/cities/:country/:name/history', citiesController.getCityHistory);
+app.get('/countries', countriesController.getCountries);
+app.get('/countries/:code/stats', statsController.getCountryStats);
+app.get('/stats', statsController.getStats);
+// Subscriptions belong to the key that created them, so they are not available to anonymous clients.
+app.use('/subscriptions', requireKeyedClient);
+app.post('/subscriptions', subscriptionsController.createSubscription);
+app.get('/subscriptions', subscriptionsController.listSubscriptions);
+app.get('/subscriptions/dead-letters', subscriptionsController.listDeadLetters);
+app.get('/subscriptions/:id', subscriptionsController.getSubscription);
+app.delete('/subscriptions/:id', subscriptionsController.deleteSubscription);
+app.post('/subscriptions/:id/test', subscriptionsController.testSubscription);
+app.get('/aqi/scales', aqiController.getScales);
+app.get('/diagnostics/auth', diagnosticsController.getAuthDiagnostics);
+
+app.use((req, res) => {
+    sendError(res, 404, `No endpoint matches ${req.method} ${req.path}.`);
+});
 
 app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).send('Something broke!');
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'The request body is not valid JSON.', { code: 'invalid_json' });
+    }
+    if (err.status >= 400 && err.status < 500) {
+        // Other body-parser rejections (too large, unsupported charset, ...).
+        return sendError(res, err.status, err.expose ? err.message : undefined);
+    }
+    logger.error('Unhandled error', { error: err, method: req.method, path: req.path });
+    if (res.headersSent) {
+        return next(err);
+    }
+    sendError(res, 500, 'Something went wrong while handling the request.');
 });
 
-// Clear cache at a defined interval
-setInterval(() => {
-    cache.clear();
-    console.log('Cache cleared.');
-}, 30 * 60 * 1000); // 30 minutes
+// Listens only when run directly (`npm start`); tests require the app and listen on a port of their own.
+if (require.main === module) {
+    const server = app.listen(PORT, () => {
+        logger.info(`Server running on port ${PORT}`);
+        const discovery = process.env.COUNTRY_DISCOVERY === 'true'
+            ? pollutionService.discoverSupportedCountries().catch(error => logger.error('Country discovery failed', { error: error.message }))
+            : Promise.resolve();
+        discovery.then(() => {
+            prewarmService.startPrewarmScheduler();
+            historyCollectorService.startHistoryCollector();
+            alertPollerService.startAlertPoller();
+        });
+    });
 
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
+    const wss = liveController.attachWebSocketServer(server);
+
+    let shuttingDown = false;
+    /**
+     * Stops the background jobs, stops accepting connections, lets open requests finish (cutting them after
+     * SHUTDOWN_GRACE_SECONDS), then closes the cache backends and writes pending API key usage before exiting.
+     * A second signal exits immediately.
+     */
+    const shutdown = async (signal) => {
+        if (shuttingDown) {
+            logger.warn(`Received ${signal} again, exiting without waiting.`);
+            process.exit(1);
+        }
+        shuttingDown = true;
+        logger.info(`Received ${signal}, shutting down.`);
+
+        prewarmService.stopPrewarmScheduler();
+        historyCollectorService.stopHistoryCollector();
+        alertPollerService.stopAlertPoller();
+
+        const closed = new Promise(resolve => server.close(resolve));
+        wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+        server.closeIdleConnections();
+        // SSE streams never finish on their own; clients reconnect (to another instance) after the cut.
+        const forceClose = setTimeout(() => server.closeAllConnections(), SHUTDOWN_GRACE_SECONDS * 1000);
+        forceClose.unref();
+
+        try {
+            await closed;
+            clearTimeout(forceClose);
+            await closeCaches();
+            apiKeyService.flushUsage();
+            logger.info('Shutdown complete.');
+            process.exit(0);
+        } catch (error) {
+            logger.error('Shutdown failed', { error: error.message });
+            process.exit(1);
+        }
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+}
 
 module.exports = app;
\ No newline at end of file
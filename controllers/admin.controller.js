@@ -0,0 +1,198 @@
+const apiKeyService = require('../services/apiKey.service');
+const rateLimitService = require('../services/rateLimit.service');
+const overrideService = require('../services/override.service');
+const citiesService = require('../services/cities.service');
+const { sendError } = require('../utils/errors');
+
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 1000;
+
+// Recorded in the audit log; a shared admin key cannot tell people apart, so callers may name themselves.
+const getActor = (req) => req.get('X-Admin-Actor') || 'admin';
+
+/**
+ * Issues an API key. The response includes the key; it is never shown again.
+ */
+const createApiKey = (req, res, next) => {
+    try {
+        const apiKey = apiKeyService.createApiKey(req.body);
+        res.status(201).location(`/admin/api-keys/${apiKey.id}`).json(apiKey);
+    } catch (error) {
+        if (error instanceof apiKeyService.ApiKeyValidationError) {
+            return sendError(res, 400, error.message, { code: 'validation_failed', field: error.field });
+        }
+        next(error);
+    }
+};
+
+const listApiKeys = (req, res) => {
+    const apiKeys = apiKeyService.listApiKeys();
+    res.json({
+        total: apiKeys.length,
+        tiers: rateLimitService.getTiers(),
+        apiKeys: apiKeys,
+    });
+};
+
+const getApiKey = (req, res) => {
+    const apiKey = apiKeyService.getApiKey(req.params.id);
+    if (!apiKey) {
+        return sendError(res, 404, `API key "${req.params.id}" was not found.`);
+    }
+    res.json(apiKey);
+};
+
+/**
+ * Renames a key or moves it to another tier.
+ */
+const updateApiKey = (req, res, next) => {
+    try {
+        const apiKey = apiKeyService.updateApiKey(req.params.id, req.body);
+        if (!apiKey) {
+            return sendError(res, 404, `API key "${req.params.id}" was not found.`);
+        }
+        res.json(apiKey);
+    } catch (error) {
+        if (error instanceof apiKeyService.ApiKeyValidationError) {
+            return sendError(res, 400, error.message, { code: 'validation_failed', field: error.field });
+        }
+        next(error);
+    }
+};
+
+const revokeApiKey = (req, res) => {
+    if (!apiKeyService.revokeApiKey(req.params.id)) {
+        return sendError(res, 404, `Active API key "${req.params.id}" was not found.`);
+    }
+    res.status(204).end();
+};
+
+/**
+ * Reports request counts per client (per endpoint, status and day), optionally for one key (`?keyId=`).
+ */
+const getUsage = (req, res) => {
+    const { keyId } = req.query;
+    const usage = apiKeyService.getUsage(keyId);
+    if (keyId !== undefined && usage.length === 0) {
+        return sendError(res, 404, `API key "${keyId}" was not found.`);
+    }
+    res.json({
+        total: usage.length,
+        clients: usage,
+    });
+};
+
+const listOverrides = (req, res) => {
+    const overrides = overrideService.listCityOverrides();
+    res.json({
+        total: overrides.length,
+        overrides: overrides,
+    });
+};
+
+/**
+ * Creates or replaces the override of one upstream city and drops the cached datasets of its country,
+ * so the next request already reflects it.
+ */
+const setOverride = async (req, res, next) => {
+    try {
+        const { country, name } = req.params;
+        const { override, created } = overrideService.setCityOverride(country, name, req.body, getActor(req));
+        await citiesService.invalidateCitiesDatasets(override.country);
+        res.status(created ? 201 : 200).json(override);
+    } catch (error) {
+        if (error instanceof overrideService.OverrideValidationError) {
+            return sendError(res, 400, error.message, { code: 'validation_failed', field: error.field });
+        }
+        next(error);
+    }
+};
+
+const deleteOverride = async (req, res, next) => {
+    try {
+        const { country, name } = req.params;
+        const removed = overrideService.deleteCityOverride(country, name, getActor(req));
+        if (!removed) {
+            return sendError(res, 404, `No override exists for city "${name}" in country "${country}".`);
+        }
+        await citiesService.invalidateCitiesDatasets(removed.country);
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+};
+
+const listAliases = (req, res) => {
+    const aliases = overrideService.listAliases();
+    res.json({
+        total: aliases.length,
+        aliases: aliases,
+    });
+};
+
+/**
+ * Declares an upstream name as an alias of a canonical city name (`{ "canonical": "Warsaw" }`).
+ */
+const setAlias = async (req, res, next) => {
+    try {
+        const { country, alias: name } = req.params;
+        const { alias, created } = overrideService.setAlias(country, name, req.body, getActor(req));
+        await citiesService.invalidateCitiesDatasets(alias.country);
+        res.status(created ? 201 : 200).json(alias);
+    } catch (error) {
+        if (error instanceof overrideService.OverrideValidationError) {
+            return sendError(res, 400, error.message, { code: 'validation_failed', field: error.field });
+        }
+        next(error);
+    }
+};
+
+const deleteAlias = async (req, res, next) => {
+    try {
+        const { country, alias } = req.params;
+        const removed = overrideService.deleteAlias(country, alias, getActor(req));
+        if (!removed) {
+            return sendError(res, 404, `No alias "${alias}" exists in country "${country}".`);
+        }
+        await citiesService.invalidateCitiesDatasets(removed.country);
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Lists the newest override and alias changes (`?limit=`, default 100), newest first.
+ */
+const getAuditLog = async (req, res, next) => {
+    try {
+        const { limit = DEFAULT_AUDIT_LIMIT } = req.query;
+        const parsedLimit = parseInt(limit);
+        if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_AUDIT_LIMIT) {
+            return sendError(res, 400, `Invalid "limit": must be an integer between 1 and ${MAX_AUDIT_LIMIT}.`);
+        }
+        const entries = await overrideService.getAuditLog(parsedLimit);
+        res.json({
+            total: entries.length,
+            entries: entries,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    createApiKey,
+    listApiKeys,
+    getApiKey,
+    updateApiKey,
+    revokeApiKey,
+    getUsage,
+    listOverrides,
+    setOverride,
+    deleteOverride,
+    listAliases,
+    setAlias,
+    deleteAlias,
+    getAuditLog,
+};
@@ -0,0 +1,18 @@
+const aqiService = require('../services/aqi.service');
+
+/**
+ * Lists the configured index scales with their bands, so clients know the valid `scale` and `category` values.
+ */
+const getScales = (req, res) => {
+    const scales = aqiService.getScales();
+
+    res.json({
+        defaultScale: aqiService.getDefaultScaleId(),
+        total: scales.length,
+        scales: scales,
+    });
+};
+
+module.exports = {
+    getScales,
+};
@@ -1,79 +1,223 @@
-const pollutionService = require('../services/pollution.service');
-const wikipediaService = require('../services/wikipedia.service');
-const { cache } = require('../utils/cache');
+const citiesService = require('../services/cities.service');
+const countryService = require('../services/country.service');
+const aqiService = require('../services/aqi.service');
+const cityQueryService = require('../services/cityQuery.service');
+const historyService = require('../services/history.service');
+const exportService = require('../services/export.service');
+const { setCacheHeaders } = require('../utils/cacheHeaders');
+const { summarizeRejections, STAGES } = require('../services/dataQuality.service');
+const { sendError } = require('../utils/errors');
 
-const POLLUTION_CACHE_KEY_PREFIX = 'pollutedCitiesData';
-const WIKIPEDIA_CACHE_TTL = 3600; // Cache Wikipedia descriptions for 1 hour (in seconds)
+/**
+ * Slices an already filtered and sorted list into one page.
+ * @returns {object} - { page, limit, total, totalPages, hasNext, items }
+ */
+const paginate = (items, page, limit) => {
+    const total = items.length;
+    const totalPages = Math.ceil(total / limit);
+    const start = (page - 1) * limit;
+    return {
+        page: page,
+        limit: limit,
+        total: total,
+        totalPages: totalPages,
+        hasNext: page < totalPages,
+        items: items.slice(start, start + limit),
+    };
+};
+
+/**
+ * Picks the description language: an explicit `lang` query parameter wins, then the best
+ * `Accept-Language` match, then English.
+ * @returns {object} - { lang } or { error } when `lang` names an unsupported language.
+ */
+const resolveLanguage = (req) => {
+    const supported = countryService.getSupportedLanguages();
+    const { lang } = req.query;
+    if (lang) {
+        const wanted = String(lang).toLowerCase();
+        return supported.includes(wanted)
+            ? { lang: wanted }
+            : { error: `Unsupported language "${lang}". Supported languages: ${supported.join(', ')}.` };
+    }
+    return { lang: req.acceptsLanguages(...supported) || supported[0] };
+};
+
+/**
+ * Reads the `country` query parameter, which may list several codes (`country=PL,DE`).
+ * @returns {object} - { countries } (empty for all countries) or { error } naming an unsupported code.
+ */
+const resolveCountries = (req) => {
+    const countries = req.query.country === undefined ? [] : cityQueryService.parseList(req.query.country);
+    const unsupported = countries.find(code => !countryService.isSupported(code));
+    return unsupported ? { error: countryService.describeUnsupported(unsupported) } : { countries };
+};
+
+/**
+ * Picks the index scale from the `scale` query parameter, defaulting to the configured default scale.
+ * @returns {object} - { scale } or { error } when `scale` is unknown.
+ */
+const resolveScale = (req) => {
+    const scale = aqiService.getScale(req.query.scale || undefined);
+    if (!scale) {
+        const available = aqiService.getScales().map(candidate => candidate.id);
+        return { error: `Unknown scale "${req.query.scale}". Available scales: ${available.join(', ')}.` };
+    }
+    return { scale };
+};
+
+/**
+ * Picks the response format: an explicit `format` query parameter wins, then content negotiation on `Accept`
+ * (JSON when any type is acceptable).
+ * @returns {object} - { format } or { status, error } when the format is unknown (400) or nothing acceptable (406).
+ */
+const resolveFormat = (req) => {
+    const formats = Object.keys(exportService.FORMATS);
+    const { format } = req.query;
+    if (format !== undefined) {
+        const wanted = String(format).toLowerCase();
+        return formats.includes(wanted)
+            ? { format: wanted }
+            : { status: 400, error: `Unknown format "${format}". Available formats: ${formats.join(', ')}.` };
+    }
+    const contentType = req.accepts(formats.map(id => exportService.FORMATS[id].contentType));
+    return contentType
+        ? { format: exportService.getFormatForContentType(contentType) }
+        : { status: 406, error: `None of the accepted types can be produced. Available types: ${formats.map(id => exportService.FORMATS[id].contentType).join(', ')}.` };
+};
+
+const rateCity = (city, scale) => ({ ...city, ...aqiService.rateReading(city.pollution, scale) });
+
+const setLanguageHeaders = (res, lang) => {
+    res.set('Content-Language', lang);
+    res.vary('Accept-Language');
+};
 
 const getPollutedCities = async (req, res, next) => {
     try {
-        const { country, page = 1, limit = 10 } = req.query;
+        const { page = 1, limit = 10, includeRejected } = req.query;
 
         const parsedPage = parseInt(page);
         const parsedLimit = parseInt(limit);
 
         if (isNaN(parsedPage) || parsedPage < 1 || isNaN(parsedLimit) || parsedLimit < 1) {
-            return res.status(400).json({ error: 'Page and limit must be positive integers.' });
+            return sendError(res, 400, 'Page and limit must be positive integers.');
+        }
+        const { countries, error: countryError } = resolveCountries(req);
+        if (countryError) {
+            return sendError(res, 400, countryError);
+        }
+        const { lang, error: languageError } = resolveLanguage(req);
+        if (languageError) {
+            return sendError(res, 400, languageError);
+        }
+        const { scale, error: scaleError } = resolveScale(req);
+        if (scaleError) {
+            return sendError(res, 400, scaleError);
+        }
+        res.vary('Accept');
+        const { format, status: formatStatus, error: formatError } = resolveFormat(req);
+        if (formatError) {
+            return sendError(res, formatStatus, formatError);
+        }
+        let queryOptions;
+        try {
+            queryOptions = cityQueryService.parseCityQuery(req.query, scale);
+        } catch (error) {
+            if (error instanceof cityQueryService.QueryParameterError) {
+                return sendError(res, 400, error.message, { code: 'invalid_parameter', parameter: error.parameter });
+            }
+            throw error;
         }
 
-        let pollutionData;
-        const cacheKey = `${POLLUTION_CACHE_KEY_PREFIX}_${country || 'default'}_p${parsedPage}_l${parsedLimit}`;
-
-        pollutionData = cache.get(cacheKey);
+        // The cache holds whole, unfiltered datasets per country and language; filters, sorting and
+        // field selection are applied per request, so different queries never share a cached result.
+        const { dataset, cacheStatus, ageSeconds } = await citiesService.getCitiesDatasetForCountries(countries, lang);
+        setCacheHeaders(res, cacheStatus, ageSeconds);
+        setLanguageHeaders(res, lang);
+
+        const ratedCities = dataset.cities.map(city => rateCity(city, scale));
+        const matchingCities = cityQueryService.applyCityQuery(ratedCities, queryOptions);
+
+        // Exports carry the whole filtered dataset as a download; `page` and `limit` do not apply.
+        if (format !== 'json') {
+            const filename = exportService.getExportFilename(countries, dataset.generatedAt, format);
+            res.set({
+                'Content-Type': `${exportService.FORMATS[format].contentType}; charset=utf-8`,
+                'Content-Disposition': `attachment; filename="${filename}"`,
+            });
+            return await exportService.streamExport(res, format, matchingCities, {
+                fields: queryOptions.fields,
+                meta: { generatedAt: dataset.generatedAt, scale: scale.id, degraded: dataset.degraded, warnings: dataset.warnings },
+            });
+        }
 
-        if (!pollutionData) {
-            console.log(`Pollution data for ${country || 'all default countries'} (page ${parsedPage}, limit ${parsedLimit}) not in cache. Hitting the API now...`);
-            pollutionData = await pollutionService.fetchPollutionData(country, parsedPage, parsedLimit);
-            cache.set(cacheKey, pollutionData, 600);
-        } else {
-            console.log(`Serving pollution data for ${country || 'all default countries'} (page ${parsedPage}, limit ${parsedLimit}) from cache. Nice and fast!`);
+        // Paginate only after the dataset has been filtered, de-duplicated and sorted.
+        const { items, ...pagination } = paginate(matchingCities, parsedPage, parsedLimit);
+        const response = {
+            ...pagination,
+            scale: scale.id,
+            sort: queryOptions.sort,
+            degraded: dataset.degraded,
+            warnings: dataset.warnings,
+            cities: items.map(city => cityQueryService.selectFields(city, queryOptions.fields)),
+        };
+
+        if (includeRejected === 'true') {
+            const rejected = dataset.rejected || [];
+            response.rejected = {
+                summary: summarizeRejections(rejected),
+                entries: rejected,
+            };
         }
 
-        const filteredAndEnrichedCities = [];
+        res.json(response);
 
-        if (pollutionData && Array.isArray(pollutionData.cities)) {
-            const validCitiesToProcess = [];
-            for (const cityEntry of pollutionData.cities) {
-                const preparedCity = normalizeCityData(cityEntry);
+    } catch (error) {
+        next(error);
+    }
+};
 
-                if (preparedCity) {
-                    validCitiesToProcess.push(preparedCity);
-                } else {
-                    console.warn(`Filtered out corrupted or incomplete entry during initial validation: ${JSON.stringify(cityEntry)}`);
-                }
-            }
+/**
+ * Lists the upstream entries that were excluded from the dataset, with the stage and checks
+ * that dropped each one, plus a summary by country, stage and reason.
+ */
+const getRejectedEntries = async (req, res, next) => {
+    try {
+        const { stage, page = 1, limit = 50 } = req.query;
 
-            const wikipediaPromises = validCitiesToProcess.map(async (city) => {
-                const description = await getWikipediaDescription(city.originalName, city.country, city.lookupName);
-                if (description) {
-                    return {
-                        name: city.originalName,
-                        country: city.country,
-                        pollution: city.pollution,
-                        description: description,
-                    };
-                }
-                console.warn(`City "${city.originalName}" (${city.country}) filtered out due to no relevant Wikipedia description.`);
-                return null;
-            });
+        const parsedPage = parseInt(page);
+        const parsedLimit = parseInt(limit);
 
-            const citiesWithDescriptions = (await Promise.all(wikipediaPromises)).filter(city => city !== null);
+        if (isNaN(parsedPage) || parsedPage < 1 || isNaN(parsedLimit) || parsedLimit < 1) {
+            return sendError(res, 400, 'Page and limit must be positive integers.');
+        }
+        const { countries, error: countryError } = resolveCountries(req);
+        if (countryError) {
+            return sendError(res, 400, countryError);
+        }
+        const validStages = Object.values(STAGES);
+        if (stage && !validStages.includes(stage)) {
+            return sendError(res, 400, `Unknown stage "${stage}". Valid stages: ${validStages.join(', ')}.`);
+        }
+        const { lang, error: languageError } = resolveLanguage(req);
+        if (languageError) {
+            return sendError(res, 400, languageError);
+        }
 
-            citiesWithDescriptions.sort((a, b) => {
-                if (b.pollution !== a.pollution) {
-                    return b.pollution - a.pollution;
-                }
-                return a.name.localeCompare(b.name);
-            });
+        const { dataset, cacheStatus, ageSeconds } = await citiesService.getCitiesDatasetForCountries(countries, lang);
+        setCacheHeaders(res, cacheStatus, ageSeconds);
+        setLanguageHeaders(res, lang);
 
-            filteredAndEnrichedCities.push(...citiesWithDescriptions);
-        }
+        const rejected = dataset.rejected || [];
+        const matching = stage ? rejected.filter(rejection => rejection.stage === stage) : rejected;
+        const { items, ...pagination } = paginate(matching, parsedPage, parsedLimit);
 
         res.json({
-            page: parsedPage,
-            limit: parsedLimit,
-            total: filteredAndEnrichedCities.length,
-            cities: filteredAndEnrichedCities,
+            generatedAt: dataset.generatedAt,
+            summary: summarizeRejections(rejected),
+            ...pagination,
+            rejected: items,
         });
 
     } catch (error) {
@@ -81,149 +225,77 @@ const getPollutedCities = async (req, res, next) => {
     }
 };
 
-/**
- * Validates and prepares city data, returning the original name for output.
- * A cleaned name is prepared for Wikipedia lookup, removing known non-city descriptors.
- * @param {object} data - The raw city object from the pollution API.
- * @returns {object|null} - Validated city data with original name and lookup name, or null if invalid.
- */
-const normalizeCityData = (data) => {
-    if (!data || typeof data.name !== 'string' || data.name.trim() === '') {
-        return null;
-    }
-    if (typeof data.country !== 'string' || data.country.trim() === '') {
-        return null;
-    }
-    const pollutionValue = parseFloat(data.pollution);
-    if (isNaN(pollutionValue) || pollutionValue < 0) {
-        return null;
-    }
-
-    const originalName = data.name.trim();
-    let lookupName = originalName;
+const getCityDetails = async (req, res, next) => {
+    try {
+        const { country, name } = req.params;
+        if (!countryService.isSupported(country)) {
+            return sendError(res, 400, countryService.describeUnsupported(country));
+        }
+        const { lang, error: languageError } = resolveLanguage(req);
+        if (languageError) {
+            return sendError(res, 400, languageError);
+        }
+        const { scale, error: scaleError } = resolveScale(req);
+        if (scaleError) {
+            return sendError(res, 400, scaleError);
+        }
 
-    // 1. Remove text in parentheses (e.g., "(Zone)", "(District)") for lookupName
-    lookupName = lookupName.replace(/\s*\(.+\)\s*/g, '').trim();
+        const city = await citiesService.getCityDetails(country, name, lang);
+        setLanguageHeaders(res, lang);
 
-    // 2. Standardize casing for lookup (e.g., "wArSAW" -> "Warsaw").
-    // This helps Wikipedia's search, but preserves diacritics and hyphens.
-    lookupName = lookupName.split(' ').map(word => {
-        if (word.length === 0) return '';
-        return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
-    }).join(' ').trim();
+        if (!city) {
+            return sendError(res, 404, `City "${name}" was not found for country "${country}".`);
+        }
 
-    // Remove any extra spaces that might result from replacements for lookup
-    lookupName = lookupName.replace(/\s+/g, ' ').trim();
+        res.json(rateCity(city, scale));
 
-    // Basic filter for truly invalid names after minimal cleaning (for lookup)
-    if (lookupName === '' || /^[0-9]+$/.test(lookupName) || lookupName.length <= 1) { // Allow "A" for city names like "A Coruña"
-        return null;
+    } catch (error) {
+        next(error);
     }
-
-    return {
-        originalName: originalName, // Store original name for final output
-        lookupName: lookupName, // Use this for Wikipedia lookups
-        country: data.country.trim(),
-        pollution: pollutionValue,
-    };
 };
 
+const DEFAULT_HISTORY_DAYS = 30;
+
 /**
- * Fetches Wikipedia description for a city, using cache.
- * Now includes robust validation to ensure it's a relevant populated place.
- * @param {string} originalName - The original name of the city (for output if found).
- * @param {string} countryName - The name of the country.
- * @param {string} lookupName - The cleaned name for Wikipedia queries.
- * @returns {string|null} - The Wikipedia description or null if not found/error or not a valid location.
+ * Returns the recorded readings of one city as a time series (`interval` buckets between `from` and `to`)
+ * with min/max/avg and the trend direction.
  */
-const getWikipediaDescription = async (originalName, countryName, lookupName) => {
-    // Prioritize queries that are most likely to be correct.
-    const searchQueries = [
-        `${originalName}, ${countryName}`, // Original name + country (best chance for exact match)
-        `${lookupName}, ${countryName}`, // Cleaned name + country
-        originalName, // Original name only
-        lookupName // Cleaned name only
-    ];
-
-    // Map of country codes to their full names and common variations for checking relevance
-    const countryNames = {
-        'PL': ['Poland', 'Polish'],
-        'DE': ['Germany', 'German'],
-        'ES': ['Spain', 'Spanish'],
-        'FR': ['France', 'French'],
-    };
-    const relevantCountryTerms = countryNames[countryName.toUpperCase()] || [];
-    const lowerCountryTerms = relevantCountryTerms.map(term => term.toLowerCase());
-
-
-    for (const query of searchQueries) {
-        const cacheKey = `wiki_${query}`;
-        let description = cache.get(cacheKey);
-
-        if (description) {
-            return description;
-        }
-
-        const wikiData = await wikipediaService.fetchCityDescription(query);
-        if (wikiData && wikiData.description) {
-            const lowerDesc = wikiData.description.toLowerCase();
-            const lowerTitle = wikiData.title.toLowerCase();
-
-            // --- Strong Negative Indicators (if any of these are present, filter it out) ---
-            const strongNegativeKeywords = [
-                'may refer to:', 'disambiguation page', 'film', 'album', 'number', 'symbol',
-                'species', 'river', 'mountain range', 'historical region', 'concept', 'theory',
-                'organization', 'company', 'product', 'mathematical', 'scientific', 'list of',
-                'is a character in', 'is a fictional', 'is an abstract', 'is a type of', 'refers to',
-                'is a genus of', 'is a surname', 'is a given name', 'is a song', 'is an episode',
-                'is a novel by', 'is a play by', 'is a television series', 'is a video game',
-                'is a computer program', 'is an acronym for', 'is a chemical element', 'is a unit of',
-                'dictator', 'tank series', 'medicine', 'monitoring', 'political party', 'streaming service', 'election', 'polling',
-                'aircraft', 'military', 'weapon', 'vehicle', 'disease', 'condition', 'medical parameter', 'observation of', 'historical figure',
-                'fictional character', 'fictional place', 'fictional entity', 'corporate entity', 'software', 'platform', 'service',
-                // Explicitly added based on problematic examples and their descriptions:
-                'industrial region', 'power plant', 'monitoring station', 'industrial zone', 'unknown point',
-                'facility', 'station', 'complex', 'area (disambiguation)', 'site (disambiguation)', 'point (disambiguation)',
-                'alpha (disambiguation)', 'b (disambiguation)', 'c (disambiguation)', 'd (disambiguation)', 'e (disambiguation)', // Generic single letters
-                'number (disambiguation)', 'number theory', 'mathematical constant', 'mathematical concept',
-                'medical condition', 'medical device', 'medical procedure', 'medical treatment', 'medical system',
-                'military unit', 'military base', 'military operation', 'military vehicle', 'military aircraft',
-                'political party', 'political movement', 'political organization', 'political system', 'political theory',
-                'streaming service', 'television series', 'video game', 'software platform', 'software service',
-                'historical event', 'historical period', 'historical figure', 'historical site',
-                'geological feature', 'body of water', 'mountain range', 'natural feature'
-            ];
-            const isStrongNegativeMatch = strongNegativeKeywords.some(keyword => lowerDesc.includes(keyword));
-            const isTitleStrongNegativeMatch = strongNegativeKeywords.some(keyword => lowerTitle.includes(keyword));
-
-            // --- Country Relevance Check ---
-            const isCountryRelevant = lowerCountryTerms.some(term => lowerDesc.includes(term) || lowerTitle.includes(term)) ||
-                                      lowerDesc.includes(countryName.toLowerCase()) || lowerTitle.includes(countryName.toLowerCase());
-
-            // --- Content Relevance to Query (Crucial check) ---
-            const isContentRelevantToQuery =
-                (lowerDesc.includes(originalName.toLowerCase()) || lowerTitle.includes(originalName.toLowerCase())) ||
-                (lowerDesc.includes(lookupName.toLowerCase()) || lowerTitle.includes(lookupName.toLowerCase()));
-
-
-            // --- Final Decision Logic ---
-            // This is the most inclusive logic while still attempting to filter out pure irrelevance.
-            if (isCountryRelevant && isContentRelevantToQuery && !isStrongNegativeMatch && !isTitleStrongNegativeMatch) {
-                cache.set(cacheKey, wikiData.description, WIKIPEDIA_CACHE_TTL);
-                return wikiData.description;
-            } else {
-                console.warn(`Wikipedia description for "${query}" filtered due to: ` +
-                             `CountryRelevant: ${isCountryRelevant}, ` +
-                             `ContentRelevantToQuery: ${isContentRelevantToQuery}, ` +
-                             `StrongNegativeMatch: ${isStrongNegativeMatch}, ` +
-                             `TitleStrongNegativeMatch: ${isTitleStrongNegativeMatch}.`);
-            }
+const getCityHistory = async (req, res, next) => {
+    try {
+        const { country, name } = req.params;
+        const { from, to, interval = 'day' } = req.query;
+        if (!countryService.isSupported(country)) {
+            return sendError(res, 400, countryService.describeUnsupported(country));
+        }
+
+        const parsedTo = to === undefined ? Date.now() : Date.parse(to);
+        const parsedFrom = from === undefined ? parsedTo - DEFAULT_HISTORY_DAYS * 24 * 60 * 60 * 1000 : Date.parse(from);
+        if (isNaN(parsedFrom) || isNaN(parsedTo)) {
+            return sendError(res, 400, `Invalid "${isNaN(parsedFrom) ? 'from' : 'to'}": must be an ISO 8601 date or date-time.`);
+        }
+        if (parsedFrom > parsedTo) {
+            return sendError(res, 400, 'Invalid "from": must not be after "to".');
+        }
+        if (!historyService.INTERVALS.includes(interval)) {
+            return sendError(res, 400, `Invalid "interval": must be one of ${historyService.INTERVALS.join(', ')}.`);
+        }
+
+        const history = await historyService.getCityHistory(country, name, { from: parsedFrom, to: parsedTo, interval });
+
+        if (!history) {
+            return sendError(res, 404, `No history was recorded for city "${name}" in country "${country}".`);
         }
-    }
 
-    return null;
+        res.json(history);
+
+    } catch (error) {
+        next(error);
+    }
 };
 
 module.exports = {
     getPollutedCities,
-};
\ No newline at end of file
+    getRejectedEntries,
+    getCityDetails,
+    getCityHistory,
+};
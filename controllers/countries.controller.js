@@ -0,0 +1,20 @@
+const countryService = require('../services/country.service');
+
+/**
+ * Lists the configured countries with their names, Wikipedia language and upstream support.
+ */
+const getCountries = (req, res) => {
+    const countries = countryService.getCountries().map(country => ({
+        ...country,
+        supported: countryService.isSupported(country.code),
+    }));
+
+    res.json({
+        total: countries.length,
+        countries: countries,
+    });
+};
+
+module.exports = {
+    getCountries,
+};
@@ -0,0 +1,16 @@
+const authService = require('../services/auth.service');
+
+/**
+ * Reports the pollution API token state (expiry, last refresh, failure counts) without exposing the token.
+ */
+const getAuthDiagnostics = async (req, res, next) => {
+    try {
+        res.json(await authService.getTokenState());
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getAuthDiagnostics,
+};
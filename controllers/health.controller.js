@@ -0,0 +1,59 @@
+const authService = require('../services/auth.service');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { errorBody } = require('../utils/errors');
+
+const READY_TIMEOUT_MS = parseInt(process.env.READY_TIMEOUT_MS, 10) || 5000;
+
+/**
+ * Liveness: the process is up and serving requests. Checks no dependency, so a pollution API outage
+ * never gets the service restarted.
+ */
+const getHealth = (req, res) => {
+    res.json({
+        status: 'ok',
+        uptimeSeconds: Math.floor(process.uptime()),
+    });
+};
+
+/**
+ * Readiness: a token for the pollution API can be obtained (from cache, or by logging in),
+ * within READY_TIMEOUT_MS. Answers 503 otherwise, so a load balancer holds traffic back.
+ */
+const getReady = async (req, res) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No token within ${READY_TIMEOUT_MS}ms.`)), READY_TIMEOUT_MS);
+    });
+    try {
+        await Promise.race([authService.getAuthToken(), timeout]);
+        res.json({ status: 'ready', checks: { auth: { status: 'ok' } } });
+    } catch (error) {
+        logger.warn('Readiness check failed', { error: error.message });
+        res.status(503).json(errorBody(503, 'Not ready: no pollution API token could be obtained.', {
+            code: 'not_ready',
+            status: 'unavailable',
+            checks: { auth: { status: 'failed', error: error.message } },
+        }));
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Prometheus metrics in the text exposition format.
+ */
+const getMetrics = async (req, res, next) => {
+    try {
+        res.set('Content-Type', metrics.register.contentType);
+        res.send(await metrics.register.metrics());
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getHealth,
+    getReady,
+    getMetrics,
+};
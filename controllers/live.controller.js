@@ -0,0 +1,170 @@
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const liveUpdatesService = require('../services/liveUpdates.service');
+const countryService = require('../services/country.service');
+const apiKeyService = require('../services/apiKey.service');
+const { parseList } = require('../services/cityQuery.service');
+const { admitClient, getRateLimitHeaders } = require('../middleware/apiKeyAuth');
+const logger = require('../utils/logger');
+const { sendError, errorBody } = require('../utils/errors');
+const { resolveRequestId, runWithContext, getRequestId } = require('../utils/requestContext');
+
+const LIVE_HEARTBEAT_SECONDS = parseInt(process.env.LIVE_HEARTBEAT_SECONDS, 10) || 15;
+const WEBSOCKET_PATH = '/cities/ws';
+
+/**
+ * Reads the connection options shared by the SSE and WebSocket endpoints.
+ * @param {object} query - Parsed query string.
+ * @param {string} [lastEventIdHeader] - The Last-Event-ID header, which takes precedence over `lastEventId`.
+ * @returns {object} - { countries, lastEventId } or { error }.
+ */
+const parseLiveOptions = (query, lastEventIdHeader) => {
+    const countries = query.country === undefined ? [] : parseList(query.country);
+    const unsupported = countries.find(code => !countryService.isSupported(code));
+    if (unsupported) {
+        return { error: countryService.describeUnsupported(unsupported) };
+    }
+
+    const rawLastEventId = lastEventIdHeader !== undefined ? lastEventIdHeader : query.lastEventId;
+    const lastEventId = rawLastEventId === undefined ? null : Number(rawLastEventId);
+    if (lastEventId !== null && (!Number.isInteger(lastEventId) || lastEventId < 0)) {
+        return { error: 'Invalid "Last-Event-ID": must be a non-negative integer.' };
+    }
+    return { countries, lastEventId };
+};
+
+/**
+ * Server-Sent Events stream of dataset changes: a snapshot (or the missed events, with Last-Event-ID),
+ * then `city.added`, `city.removed` and `city.changed` events, with a comment line as heartbeat.
+ * If the dataset cannot be loaded, the stream ends with an `error` event instead of an empty snapshot.
+ */
+const streamCities = async (req, res) => {
+    const { countries, lastEventId, error } = parseLiveOptions(req.query, req.get('Last-Event-ID'));
+    if (error) {
+        return sendError(res, 400, error);
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Keep reverse proxies from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${LIVE_HEARTBEAT_SECONDS * 1000}\n\n`);
+
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    const heartbeat = setInterval(() => res.write(`: heartbeat ${liveUpdatesService.getLastEventId()}\n\n`), LIVE_HEARTBEAT_SECONDS * 1000);
+
+    let unsubscribe = null;
+    let closed = false;
+    req.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+        if (unsubscribe) {
+            unsubscribe();
+        }
+    });
+
+    try {
+        unsubscribe = await liveUpdatesService.subscribe({ countries, lastEventId }, send);
+        if (closed) {
+            unsubscribe();
+        }
+    } catch (subscribeError) {
+        clearInterval(heartbeat);
+        // The headers are sent, so the error goes into the stream. EventSource reconnects after the `retry` delay sent above.
+        logger.error('Could not start SSE live updates', { error: subscribeError.message });
+        const body = errorBody(503, 'Live updates are unavailable: the city dataset could not be loaded. Reconnect later.');
+        res.end(`event: error\ndata: ${JSON.stringify(body)}\n\n`);
+    }
+};
+
+/**
+ * Answers a rejected upgrade request with a plain HTTP response and closes the socket.
+ */
+const rejectUpgrade = (socket, status, body, headers = {}) => {
+    const headerLines = Object.entries({ 'Content-Type': 'application/json', 'Connection': 'close', 'X-Request-Id': getRequestId(), ...headers })
+        .map(([name, value]) => `${name}: ${value}\r\n`).join('');
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n${headerLines}\r\n${JSON.stringify(body)}`);
+};
+
+/**
+ * Accepts WebSocket connections on WEBSOCKET_PATH (`?country=PL,DE&lastEventId=42`). Messages are the same
+ * JSON events as on the SSE stream, plus `{ type: 'heartbeat' }`. Connections that stop answering pings are closed.
+ * The upgrade does not pass through Express, so the API key (`X-API-Key` or `?apiKey=`) and rate limit are checked here;
+ * each connection counts as one request.
+ * @param {http.Server} server - The server returned by `app.listen`.
+ * @returns {WebSocketServer}
+ */
+const attachWebSocketServer = (server) => {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => runWithContext({ requestId: resolveRequestId(req.headers['x-request-id']) }, () => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== WEBSOCKET_PATH) {
+            socket.destroy();
+            return;
+        }
+        const { client, limit, status, error } = admitClient({
+            key: req.headers['x-api-key'] || url.searchParams.get('apiKey') || undefined,
+            ip: req.socket.remoteAddress,
+        });
+        const options = status ? {} : parseLiveOptions(Object.fromEntries(url.searchParams), req.headers['last-event-id']);
+        if (client) {
+            const responseStatus = status || (options.error ? 400 : 101);
+            apiKeyService.recordUsage(client.id, { endpoint: `GET ${WEBSOCKET_PATH}`, status: responseStatus, rateLimited: status === 429 });
+        }
+        if (status || options.error) {
+            rejectUpgrade(socket, status || 400, errorBody(status || 400, error || options.error), limit ? getRateLimitHeaders(limit) : {});
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, options));
+    }));
+
+    wss.on('connection', async (ws, { countries, lastEventId }) => {
+        let alive = true;
+        ws.on('pong', () => {
+            alive = true;
+        });
+        const heartbeat = setInterval(() => {
+            if (!alive) {
+                ws.terminate();
+                return;
+            }
+            alive = false;
+            ws.ping();
+            ws.send(JSON.stringify({ type: 'heartbeat', lastEventId: liveUpdatesService.getLastEventId(), at: new Date().toISOString() }));
+        }, LIVE_HEARTBEAT_SECONDS * 1000);
+
+        let unsubscribe = null;
+        ws.on('close', () => {
+            clearInterval(heartbeat);
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        });
+
+        try {
+            const subscription = await liveUpdatesService.subscribe({ countries, lastEventId }, event => ws.send(JSON.stringify(event)));
+            if (ws.readyState === ws.OPEN) {
+                unsubscribe = subscription;
+            } else {
+                subscription();
+            }
+        } catch (error) {
+            logger.error('Could not start WebSocket live updates', { error: error.message });
+            ws.close(1011, 'Live updates unavailable');
+        }
+    });
+
+    logger.info(`WebSocket live updates listening on ${WEBSOCKET_PATH}.`);
+    return wss;
+};
+
+module.exports = {
+    streamCities,
+    attachWebSocketServer,
+};
@@ -0,0 +1,87 @@
+const statsService = require('../services/stats.service');
+const countryService = require('../services/country.service');
+const aqiService = require('../services/aqi.service');
+const { setCacheHeaders } = require('../utils/cacheHeaders');
+const { sendError } = require('../utils/errors');
+
+const DEFAULT_TOP = 5;
+const MAX_TOP = 50;
+
+/**
+ * Reads the `scale` and `top` query parameters shared by both stats endpoints.
+ * @returns {object} - { scale, top } or { error }.
+ */
+const parseStatsQuery = (req) => {
+    const scale = aqiService.getScale(req.query.scale || undefined);
+    if (!scale) {
+        const available = aqiService.getScales().map(candidate => candidate.id);
+        return { error: `Unknown scale "${req.query.scale}". Available scales: ${available.join(', ')}.` };
+    }
+    const top = req.query.top === undefined ? DEFAULT_TOP : Number(req.query.top);
+    if (!Number.isInteger(top) || top < 1 || top > MAX_TOP) {
+        return { error: `Invalid "top": must be an integer between 1 and ${MAX_TOP}.` };
+    }
+    return { scale, top };
+};
+
+/**
+ * Aggregate statistics over all default countries, with a breakdown per country.
+ */
+const getStats = async (req, res, next) => {
+    try {
+        const { scale, top, error } = parseStatsQuery(req);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+
+        const { stats, dataset, cacheStatus, ageSeconds } = await statsService.getOverallStats({ scale, top });
+        setCacheHeaders(res, cacheStatus, ageSeconds);
+
+        res.json({
+            scale: scale.id,
+            generatedAt: dataset.generatedAt,
+            degraded: dataset.degraded,
+            warnings: dataset.warnings,
+            ...stats,
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Aggregate statistics for one country.
+ */
+const getCountryStats = async (req, res, next) => {
+    try {
+        const { code } = req.params;
+        if (!countryService.isSupported(code)) {
+            return sendError(res, 400, countryService.describeUnsupported(code));
+        }
+        const { scale, top, error } = parseStatsQuery(req);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+
+        const { stats, dataset, cacheStatus, ageSeconds } = await statsService.getCountryStats(code, { scale, top });
+        setCacheHeaders(res, cacheStatus, ageSeconds);
+
+        res.json({
+            country: code.toUpperCase(),
+            scale: scale.id,
+            generatedAt: dataset.generatedAt,
+            degraded: dataset.degraded,
+            warnings: dataset.warnings,
+            ...stats,
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getStats,
+    getCountryStats,
+};
@@ -0,0 +1,85 @@
+const subscriptionService = require('../services/subscription.service');
+const webhookService = require('../services/webhook.service');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Registers a threshold alert. The response includes the webhook signing secret; it is never shown again.
+ */
+const createSubscription = async (req, res, next) => {
+    try {
+        const subscription = await subscriptionService.createSubscription(req.body, req.client.id);
+        res.status(201).location(`/subscriptions/${subscription.id}`).json(subscription);
+    } catch (error) {
+        if (error instanceof subscriptionService.SubscriptionValidationError) {
+            return sendError(res, 400, error.message, { code: 'validation_failed', field: error.field });
+        }
+        next(error);
+    }
+};
+
+const listSubscriptions = (req, res) => {
+    const subscriptions = subscriptionService.listSubscriptions(req.client.id);
+    res.json({
+        total: subscriptions.length,
+        subscriptions: subscriptions,
+    });
+};
+
+const getSubscription = (req, res) => {
+    const subscription = subscriptionService.getSubscription(req.params.id, req.client.id);
+    if (!subscription) {
+        return sendError(res, 404, `Subscription "${req.params.id}" was not found.`);
+    }
+    res.json(subscriptionService.toPublic(subscription));
+};
+
+const deleteSubscription = (req, res) => {
+    if (!subscriptionService.deleteSubscription(req.params.id, req.client.id)) {
+        return sendError(res, 404, `Subscription "${req.params.id}" was not found.`);
+    }
+    res.status(204).end();
+};
+
+/**
+ * Sends a signed `subscription.test` event right away, so a receiver can be checked without waiting for an alert.
+ */
+const testSubscription = async (req, res, next) => {
+    try {
+        const subscription = subscriptionService.getSubscription(req.params.id, req.client.id);
+        if (!subscription) {
+            return sendError(res, 404, `Subscription "${req.params.id}" was not found.`);
+        }
+
+        const result = await webhookService.deliverEvent(subscription, 'subscription.test', {
+            country: subscription.country,
+            city: subscription.city,
+            threshold: subscription.threshold,
+        });
+        res.status(result.delivered ? 200 : 502).json(result);
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Lists the client's webhook deliveries that failed after every retry.
+ */
+const listDeadLetters = (req, res) => {
+    const { subscriptionId } = req.query;
+    const deadLetters = subscriptionService.listDeadLetters(req.client.id)
+        .filter(deadLetter => !subscriptionId || deadLetter.subscriptionId === subscriptionId);
+    res.json({
+        total: deadLetters.length,
+        deadLetters: deadLetters,
+    });
+};
+
+module.exports = {
+    createSubscription,
+    listSubscriptions,
+    getSubscription,
+    deleteSubscription,
+    testSubscription,
+    listDeadLetters,
+};
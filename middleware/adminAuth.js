@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const { sendError } = require('../utils/errors');
+
+dotenv.config();
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+/**
+ * Compares two secrets in constant time (both are hashed first, so their lengths do not leak either).
+ */
+const secretsMatch = (presented, expected) => crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(presented).digest(),
+    crypto.createHash('sha256').update(expected).digest()
+);
+
+/**
+ * Express middleware for the admin endpoints: requires `X-Admin-Key` to equal ADMIN_API_KEY.
+ * Without ADMIN_API_KEY configured, the admin endpoints are disabled (503).
+ */
+const requireAdmin = (req, res, next) => {
+    if (!ADMIN_API_KEY) {
+        return sendError(res, 503, 'The admin API is disabled. Set ADMIN_API_KEY to enable it.', { code: 'admin_disabled' });
+    }
+    const presented = req.get('X-Admin-Key');
+    if (!presented || !secretsMatch(presented, ADMIN_API_KEY)) {
+        return sendError(res, 401, 'A valid X-Admin-Key header is required.');
+    }
+    next();
+};
+
+module.exports = {
+    requireAdmin,
+};
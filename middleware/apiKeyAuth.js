@@ -0,0 +1,101 @@
+const apiKeyService = require('../services/apiKey.service');
+const rateLimitService = require('../services/rateLimit.service');
+const { sendError } = require('../utils/errors');
+
+const API_KEYS_REQUIRED = process.env.API_KEYS_REQUIRED !== 'false'; // 'false' lets clients without a key in, on the anonymous tier
+
+/**
+ * Identifies a client and takes a token from its rate limit bucket. Shared by the HTTP middleware and
+ * the WebSocket upgrade, which does not pass through Express.
+ * @param {object} request
+ * @param {string|undefined} request.key - The presented API key (`X-API-Key` header or `apiKey` query parameter).
+ * @param {string} request.ip - Client address, for the buckets of anonymous clients.
+ * @returns {object} - { client: { id, tier }, limit } when admitted; otherwise { status (401 or 429), error },
+ *                     plus `client` and `limit` for 429.
+ */
+const admitClient = ({ key, ip }) => {
+    let client;
+    let bucketKey;
+    if (key) {
+        const record = apiKeyService.authenticate(key);
+        if (!record) {
+            return { status: 401, error: 'Invalid or revoked API key.' };
+        }
+        client = { id: record.id, tier: rateLimitService.getTier(record.tier) || rateLimitService.getTier() };
+        bucketKey = `key:${record.id}`;
+    } else if (API_KEYS_REQUIRED) {
+        return { status: 401, error: 'An API key is required. Send it in the X-API-Key header or the apiKey query parameter.' };
+    } else {
+        client = { id: apiKeyService.ANONYMOUS_CLIENT_ID, tier: rateLimitService.getTier(rateLimitService.getAnonymousTierId()) };
+        bucketKey = `ip:${ip}`;
+    }
+
+    const limit = rateLimitService.consume(bucketKey, client.tier);
+    if (!limit.allowed) {
+        return {
+            status: 429,
+            error: `Rate limit of the "${client.tier.id}" tier exceeded. Retry in ${limit.retryAfterSeconds} second(s).`,
+            client,
+            limit,
+        };
+    }
+    return { client, limit };
+};
+
+/**
+ * @param {object} limit - From `rateLimitService.consume`.
+ * @returns {object} - The `X-RateLimit-*` (and, when limited, `Retry-After`) headers.
+ */
+const getRateLimitHeaders = (limit) => ({
+    'X-RateLimit-Limit': String(limit.limit),
+    'X-RateLimit-Remaining': String(limit.remaining),
+    'X-RateLimit-Reset': String(limit.resetSeconds),
+    ...(limit.allowed ? {} : { 'Retry-After': String(limit.retryAfterSeconds) }),
+});
+
+/**
+ * Express middleware: rejects requests without a valid key (401) or over their tier's rate limit (429),
+ * and counts every admitted or rate-limited request in the client's usage.
+ */
+const requireApiKey = (req, res, next) => {
+    const key = req.get('X-API-Key') || (typeof req.query.apiKey === 'string' ? req.query.apiKey : undefined);
+    const { client, limit, status, error } = admitClient({ key, ip: req.ip });
+
+    if (client) {
+        // 'close' rather than 'finish': it also fires for responses that never finish, such as SSE streams the client closes.
+        res.on('close', () => {
+            apiKeyService.recordUsage(client.id, {
+                endpoint: req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : `${req.method} ${status === 429 ? '(rate limited)' : '(unmatched)'}`,
+                status: res.statusCode,
+                rateLimited: status === 429,
+            });
+        });
+    }
+    if (limit) {
+        res.set(getRateLimitHeaders(limit));
+    }
+    if (status) {
+        return sendError(res, status, error);
+    }
+
+    req.client = client;
+    next();
+};
+
+/**
+ * Express middleware, after `requireApiKey`: rejects anonymous clients (admitted when API_KEYS_REQUIRED=false)
+ * from endpoints that keep per-client data, since every keyless caller shares the same client id.
+ */
+const requireKeyedClient = (req, res, next) => {
+    if (!req.client || req.client.id === apiKeyService.ANONYMOUS_CLIENT_ID) {
+        return sendError(res, 401, 'This endpoint needs an API key. Send it in the X-API-Key header or the apiKey query parameter.');
+    }
+    next();
+};
+
+module.exports = {
+    admitClient,
+    getRateLimitHeaders,
+    requireApiKey,
+    requireKeyedClient,
+};
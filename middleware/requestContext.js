@@ -0,0 +1,36 @@
+const { resolveRequestId, runWithContext } = require('../utils/requestContext');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+/**
+ * Express middleware, registered first: gives every request an ID (the caller's X-Request-Id, or a new one),
+ * echoes it in the X-Request-Id response header, makes it available to logs and upstream calls made while
+ * handling the request, and writes one access log line plus a latency sample when the response is sent.
+ */
+const requestContext = (req, res, next) => {
+    const requestId = resolveRequestId(req.get('X-Request-Id'));
+    const startedAt = process.hrtime.bigint();
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => runWithContext({ requestId }, () => {
+        const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        // The route pattern, not the URL, so city names and IDs do not each become a metric series.
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        metrics.observeHttpRequest({ method: req.method, route, status: res.statusCode, durationSeconds });
+        logger.info('Request completed', {
+            method: req.method,
+            path: req.path,
+            route: route,
+            status: res.statusCode,
+            durationMs: Math.round(durationSeconds * 1000),
+            client: req.client ? req.client.id : undefined,
+        });
+    }));
+
+    runWithContext({ requestId }, next);
+};
+
+module.exports = {
+    requestContext,
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('../utils/logger');
+const defaultData = require('./pollutionData.json');
+
+/**
+ * Mixes corrupted entries in among the clean ones (one after each clean entry, the rest at the end),
+ * so that they land on different pages like they do upstream.
+ * @param {Array<object>} clean
+ * @param {Array<object>} corrupted
+ * @returns {Array<object>}
+ */
+const interleave = (clean, corrupted) => {
+    const entries = [];
+    clean.forEach((entry, index) => {
+        entries.push(entry);
+        if (index < corrupted.length) {
+            entries.push(corrupted[index]);
+        }
+    });
+    return entries.concat(corrupted.slice(clean.length));
+};
+
+/**
+ * Creates a local stand-in for the pollution API: `POST /auth/login` and paginated `GET /pollution`,
+ * with the same response shapes. For testing failure handling it can mix corrupted entries into the data,
+ * let tokens expire, and fail requests on demand (`injectFailure`) or at random (`errorRate`).
+ * The same controls are available over HTTP under `/__mock/` for when it runs as a separate process.
+ * @param {object} [options]
+ * @param {object} [options.cities] - Clean entries per country code, e.g. { PL: [{ name, pollution }] }.
+ * @param {object} [options.corrupted] - Corrupted entries per country code.
+ * @param {boolean} [options.corruptedEntries=true] - Whether corrupted entries are served.
+ * @param {string} [options.username='testuser']
+ * @param {string} [options.password='testpass']
+ * @param {number} [options.tokenTtlSeconds=3600] - Token lifetime; expired tokens get a 401.
+ * @param {number} [options.errorRate=0] - Share (0-1) of /pollution requests answered with a random 500 or 503.
+ * @returns {object} - { app, stats, injectFailure, expireTokens, reset, listen }
+ */
+const createMockUpstream = ({
+    cities = defaultData.cities,
+    corrupted = defaultData.corrupted,
+    corruptedEntries = true,
+    username = 'testuser',
+    password = 'testpass',
+    tokenTtlSeconds = 3600,
+    errorRate = 0,
+} = {}) => {
+    const tokens = new Map(); // token -> expiry (ms since epoch)
+    const failures = []; // { path, status, remaining, retryAfter }
+    const stats = { logins: 0, pollutionRequests: [], injectedFailures: 0 };
+
+    const datasets = Object.fromEntries(Object.keys(cities).map(country => [
+        country,
+        corruptedEntries ? interleave(cities[country], corrupted[country] || []) : cities[country].slice(),
+    ]));
+
+    /**
+     * Makes the next `times` requests to `path` fail with `status` (and an optional Retry-After).
+     * @param {object} failure - { path = '/pollution', status = 503, times = 1, retryAfter }
+     */
+    const injectFailure = ({ path = '/pollution', status = 503, times = 1, retryAfter } = {}) => {
+        failures.push({ path, status, remaining: times, retryAfter });
+    };
+
+    /**
+     * Expires every token issued so far, as if their lifetime had run out early.
+     */
+    const expireTokens = () => {
+        tokens.forEach((expiresAt, token) => tokens.set(token, 0));
+    };
+
+    /**
+     * Forgets every token, pending failure and counter.
+     */
+    const reset = () => {
+        tokens.clear();
+        failures.length = 0;
+        stats.logins = 0;
+        stats.pollutionRequests = [];
+        stats.injectedFailures = 0;
+    };
+
+    const app = express();
+    app.use(express.json());
+
+    // Injected and random failures come first, so they also apply to logins.
+    app.use((req, res, next) => {
+        const failure = failures.find(candidate => candidate.path === req.path && candidate.remaining > 0);
+        if (failure) {
+            failure.remaining--;
+            stats.injectedFailures++;
+            if (failure.retryAfter !== undefined) {
+                res.set('Retry-After', String(failure.retryAfter));
+            }
+            return res.status(failure.status).json({ error: `Injected failure (${failure.status}).` });
+        }
+        if (req.path === '/pollution' && errorRate > 0 && Math.random() < errorRate) {
+            stats.injectedFailures++;
+            const status = Math.random() < 0.5 ? 500 : 503;
+            return res.status(status).json({ error: `Random failure (${status}).` });
+        }
+        next();
+    });
+
+    app.post('/auth/login', (req, res) => {
+        const body = req.body || {};
+        if (body.username !== username || body.password !== password) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+        stats.logins++;
+        const token = crypto.randomBytes(24).toString('hex');
+        tokens.set(token, Date.now() + tokenTtlSeconds * 1000);
+        res.json({ token: token, expiresIn: tokenTtlSeconds });
+    });
+
+    app.get('/pollution', (req, res) => {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !tokens.has(token)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        if (tokens.get(token) <= Date.now()) {
+            return res.status(401).json({ error: 'Token expired' });
+        }
+
+        const country = typeof req.query.country === 'string' ? req.query.country.toUpperCase() : '';
+        if (!datasets[country]) {
+            return res.status(400).json({ error: `Invalid country. Supported: ${Object.keys(datasets).join(', ')}` });
+        }
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 10;
+        stats.pollutionRequests.push({ country, page, limit });
+
+        const entries = datasets[country];
+        res.json({
+            meta: {
+                page: page,
+                totalPages: Math.ceil(entries.length / limit),
+            },
+            results: entries.slice((page - 1) * limit, page * limit),
+        });
+    });
+
+    app.post('/__mock/failures', (req, res) => {
+        injectFailure(req.body || {});
+        res.status(204).end();
+    });
+    app.post('/__mock/expire-tokens', (req, res) => {
+        expireTokens();
+        res.status(204).end();
+    });
+    app.post('/__mock/reset', (req, res) => {
+        reset();
+        res.status(204).end();
+    });
+    app.get('/__mock/stats', (req, res) => res.json(stats));
+
+    /**
+     * Starts listening; port 0 picks a free port.
+     * @param {number} [port=0]
+     * @returns {Promise<object>} - { server, url }
+     */
+    const listen = (port = 0) => new Promise((resolve, reject) => {
+        const server = app.listen(port, () => resolve({ server, url: `http://localhost:${server.address().port}` }));
+        server.on('error', reject);
+    });
+
+    return {
+        app,
+        stats,
+        injectFailure,
+        expireTokens,
+        reset,
+        listen,
+    };
+};
+
+if (require.main === module) {
+    const port = parseInt(process.env.MOCK_UPSTREAM_PORT, 10) || 4000;
+    createMockUpstream({
+        corruptedEntries: process.env.MOCK_CORRUPTED_ENTRIES !== 'false',
+        username: process.env.MOCK_USERNAME || undefined,
+        password: process.env.MOCK_PASSWORD || undefined,
+        tokenTtlSeconds: parseInt(process.env.MOCK_TOKEN_TTL_SECONDS, 10) || undefined,
+        errorRate: parseFloat(process.env.MOCK_ERROR_RATE) || 0,
+    }).listen(port).then(({ url }) => {
+        logger.info(`Mock pollution API listening on ${url} (set POLLUTION_API_BASE_URL=${url}).`);
+    });
+}
+
+module.exports = {
+    createMockUpstream,
+};
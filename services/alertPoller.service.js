@@ -0,0 +1,160 @@
+const pollutionService = require('./pollution.service');
+const citiesService = require('./cities.service');
+const subscriptionService = require('./subscription.service');
+const webhookService = require('./webhook.service');
+const overrideService = require('./override.service');
+const { createLimiter } = require('../utils/concurrency');
+const { foldName, cleanCityName } = require('../utils/text');
+const logger = require('../utils/logger');
+
+const ALERT_POLL_INTERVAL_SECONDS = process.env.ALERT_POLL_INTERVAL_SECONDS !== undefined
+    ? parseInt(process.env.ALERT_POLL_INTERVAL_SECONDS, 10)
+    : 300; // Evaluate subscriptions every 5 minutes
+const WEBHOOK_MAX_CONCURRENCY = parseInt(process.env.WEBHOOK_MAX_CONCURRENCY, 10) || 4;
+
+const limitDelivery = createLimiter(WEBHOOK_MAX_CONCURRENCY);
+
+let timer = null;
+let running = false;
+
+/**
+ * Fetches the current readings of one country straight from the pollution API (not the dataset cache,
+ * so alerts are based on fresh values). Entries are validated like the dataset; duplicates keep the highest reading.
+ * @param {string} country - Country code.
+ * @returns {Promise<Map<string, object>>} - Folded city name -> { name, pollution }.
+ */
+const fetchCurrentReadings = async (country) => {
+    const { cities } = await pollutionService.fetchPollutionData(country);
+    const readings = new Map();
+    for (const entry of cities) {
+        const city = citiesService.normalizeCityData(entry);
+        if (!city) {
+            continue;
+        }
+        const key = foldName(city.lookupName);
+        const existing = readings.get(key);
+        if (!existing || city.pollution > existing.pollution) {
+            readings.set(key, { name: city.originalName, pollution: city.pollution });
+        }
+    }
+    return readings;
+};
+
+/**
+ * The readings key for a subscription's city. The name is cleaned and resolved like upstream names, so it matches
+ * whichever form the client took from /cities ("Warsaw (Zone)"), cleaned ("Warsaw") or an alias ("Warszawa").
+ * @param {object} subscription - With `country` and `city`.
+ * @returns {string}
+ */
+const getCityKey = ({ country, city }) => {
+    const lookupName = cleanCityName(city);
+    return foldName(overrideService.resolveAlias(country, city) || overrideService.resolveAlias(country, lookupName) || lookupName);
+};
+
+/**
+ * Evaluates one subscription against the current readings. A city that reaches the threshold fires
+ * `threshold.exceeded` once; further readings above it are suppressed until the value drops back below
+ * the threshold, which fires `threshold.cleared` and re-arms the alert (hysteresis).
+ * @param {object} subscription
+ * @param {Map<string, object>} readings - From `fetchCurrentReadings`.
+ * @returns {Promise<number>} - Number of webhooks sent.
+ */
+const evaluateSubscription = async (subscription, readings) => {
+    const cityKey = subscription.city ? getCityKey(subscription) : null;
+    const targets = cityKey
+        ? [[cityKey, readings.get(cityKey)]].filter(([, reading]) => reading)
+        : Array.from(readings.entries());
+    const alerts = { ...subscription.alerts };
+    const deliveries = [];
+
+    for (const [key, reading] of targets) {
+        const data = {
+            country: subscription.country,
+            city: reading.name,
+            pollution: reading.pollution,
+            threshold: subscription.threshold,
+        };
+        if (reading.pollution >= subscription.threshold && !alerts[key]) {
+            alerts[key] = { name: reading.name, pollution: reading.pollution, since: new Date().toISOString() };
+            deliveries.push(limitDelivery(() => webhookService.deliverEvent(subscription, 'threshold.exceeded', data)));
+        } else if (reading.pollution < subscription.threshold && alerts[key]) {
+            const { since } = alerts[key];
+            delete alerts[key];
+            deliveries.push(limitDelivery(() => webhookService.deliverEvent(subscription, 'threshold.cleared', { ...data, alertingSince: since })));
+        }
+    }
+
+    if (deliveries.length > 0) {
+        subscriptionService.updateAlerts(subscription.id, alerts);
+        await Promise.all(deliveries);
+    }
+    return deliveries.length;
+};
+
+/**
+ * Fetches every country that has subscriptions (one after the other) and evaluates its subscriptions.
+ * A country that cannot be fetched is skipped until the next run; its alert state is left untouched.
+ * Never rejects: other failures are logged and end the run.
+ */
+const pollSubscriptions = async () => {
+    if (running) {
+        logger.warn('Previous alert evaluation still in progress; skipping this one.');
+        return;
+    }
+    running = true;
+    try {
+        const subscriptions = subscriptionService.listSubscriptions();
+        const countries = Array.from(new Set(subscriptions.map(subscription => subscription.country)));
+        let sent = 0;
+
+        for (const country of countries) {
+            let readings;
+            try {
+                readings = await fetchCurrentReadings(country);
+            } catch (error) {
+                logger.error(`Alert evaluation for ${country} skipped; pollution data unavailable`, { error: error.message });
+                continue;
+            }
+            for (const { id } of subscriptions.filter(subscription => subscription.country === country)) {
+                // Re-read: the subscription may have been deleted or updated since the run started.
+                const subscription = subscriptionService.getSubscription(id);
+                if (subscription) {
+                    sent += await evaluateSubscription(subscription, readings);
+                }
+            }
+        }
+
+        if (subscriptions.length > 0) {
+            logger.info(`Evaluated ${subscriptions.length} subscription(s); sent ${sent} webhook(s).`);
+        }
+    } catch (error) {
+        // The scheduler does not await runs, so nothing may escape; the next run starts over.
+        logger.error('Alert evaluation failed', { error: error.message });
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Starts evaluating subscriptions immediately and then every ALERT_POLL_INTERVAL_SECONDS (0 disables it).
+ */
+const startAlertPoller = () => {
+    if (timer || !(ALERT_POLL_INTERVAL_SECONDS > 0)) {
+        return;
+    }
+    pollSubscriptions();
+    timer = setInterval(pollSubscriptions, ALERT_POLL_INTERVAL_SECONDS * 1000);
+    timer.unref();
+    logger.info(`Evaluating alert subscriptions every ${ALERT_POLL_INTERVAL_SECONDS} seconds.`);
+};
+
+const stopAlertPoller = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    pollSubscriptions,
+    startAlertPoller,
+    stopAlertPoller,
+};
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const rateLimitService = require('./rateLimit.service');
+const logger = require('../utils/logger');
+
+dotenv.config();
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'apiKeys.json');
+const API_USAGE_FLUSH_SECONDS = parseInt(process.env.API_USAGE_FLUSH_SECONDS, 10) || 30; // Usage counters are written at most this often
+const API_USAGE_RETENTION_DAYS = parseInt(process.env.API_USAGE_RETENTION_DAYS, 10) || 31; // Days kept in the per-day counters
+const KEY_PREFIX = 'pk_';
+const ANONYMOUS_CLIENT_ID = 'anonymous';
+
+/**
+ * Error for an API key request that cannot be accepted; `field` names the offending property.
+ */
+class ApiKeyValidationError extends Error {
+    constructor(field, message) {
+        super(`Invalid "${field}": ${message}`);
+        this.name = 'ApiKeyValidationError';
+        this.field = field;
+    }
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Loads persisted keys and usage; a missing file means none yet. Keys added to the file by hand as
+ * `{ "name", "tier", "key" }` are hashed on load, and the plain key is removed from the file.
+ * @returns {object} - { store: { keys: Array, usage: object }, changed: boolean }
+ */
+const loadStore = () => {
+    try {
+        const persisted = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+        const keys = Array.isArray(persisted.keys) ? persisted.keys : [];
+        let changed = false;
+        for (const record of keys) {
+            if (typeof record.key === 'string') {
+                record.id = record.id || crypto.randomUUID();
+                record.keyHash = hashKey(record.key);
+                record.keyPrefix = record.key.slice(0, KEY_PREFIX.length + 4);
+                record.tier = record.tier || rateLimitService.getDefaultTierId();
+                record.createdAt = record.createdAt || new Date().toISOString();
+                record.revokedAt = record.revokedAt || null;
+                delete record.key;
+                changed = true;
+            }
+        }
+        logger.info(`Loaded ${keys.length} API key(s) from ${API_KEYS_FILE}.`);
+        return {
+            store: { keys, usage: persisted.usage && typeof persisted.usage === 'object' ? persisted.usage : {} },
+            changed,
+        };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Could not load API keys from ${API_KEYS_FILE}, starting empty`, { error: error.message });
+        }
+        return { store: { keys: [], usage: {} }, changed: false };
+    }
+};
+
+const { store, changed: hashedOnLoad } = loadStore();
+const keysByHash = new Map(store.keys.map(record => [record.keyHash, record]));
+
+let usageDirty = false;
+let flushTimer = null;
+
+/**
+ * Writes the store to disk atomically (temp file + rename).
+ */
+const persist = () => {
+    try {
+        fs.mkdirSync(path.dirname(API_KEYS_FILE), { recursive: true });
+        const tempPath = `${API_KEYS_FILE}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(store, null, 2));
+        fs.renameSync(tempPath, API_KEYS_FILE);
+        usageDirty = false;
+    } catch (error) {
+        logger.error(`Failed to persist API keys to ${API_KEYS_FILE}`, { error: error.message });
+    }
+};
+
+if (hashedOnLoad) {
+    persist();
+}
+
+/**
+ * Schedules one write of the usage counters, so busy keys do not cause a write per request.
+ */
+const scheduleUsageFlush = () => {
+    usageDirty = true;
+    if (flushTimer) {
+        return;
+    }
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        if (usageDirty) {
+            persist();
+        }
+    }, API_USAGE_FLUSH_SECONDS * 1000);
+    flushTimer.unref();
+};
+
+/**
+ * Writes pending usage counters now instead of waiting for the scheduled flush; used on shutdown.
+ */
+const flushUsage = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (usageDirty) {
+        persist();
+    }
+};
+
+/**
+ * The public view of a key: everything except its hash.
+ * @param {object} record
+ * @returns {object}
+ */
+const toPublic = ({ keyHash, ...record }) => record;
+
+/**
+ * Validates the name and tier of a key.
+ * @param {object} input - { name, tier }
+ * @param {boolean} partial - Whether omitted fields are allowed (updates).
+ * @returns {object} - The provided fields.
+ * @throws {ApiKeyValidationError}
+ */
+const validateInput = (input, partial) => {
+    const { name, tier } = input || {};
+    const fields = {};
+
+    if (name !== undefined || !partial) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new ApiKeyValidationError('name', 'must be a non-empty string identifying the client.');
+        }
+        fields.name = name.trim();
+    }
+    if (tier !== undefined) {
+        if (!rateLimitService.getTier(tier)) {
+            const available = rateLimitService.getTiers().map(candidate => candidate.id);
+            throw new ApiKeyValidationError('tier', `Unknown tier "${tier}". Available tiers: ${available.join(', ')}.`);
+        }
+        fields.tier = tier;
+    }
+    return fields;
+};
+
+/**
+ * Issues a new API key. The key itself is returned only here; only its hash is stored.
+ * @param {object} input - { name, tier? }
+ * @returns {object} - The key record, including `key`.
+ * @throws {ApiKeyValidationError}
+ */
+const createApiKey = (input) => {
+    const { name, tier = rateLimitService.getDefaultTierId() } = validateInput(input, false);
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+        id: crypto.randomUUID(),
+        name: name,
+        tier: tier,
+        keyHash: hashKey(key),
+        keyPrefix: key.slice(0, KEY_PREFIX.length + 4),
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+    };
+    store.keys.push(record);
+    keysByHash.set(record.keyHash, record);
+    persist();
+    return { ...toPublic(record), key };
+};
+
+/**
+ * @returns {Array<object>} - Every key (including revoked ones), without hashes.
+ */
+const listApiKeys = () => store.keys.map(toPublic);
+
+/**
+ * @param {string} id
+ * @returns {object|null} - The public key record, or null.
+ */
+const getApiKey = (id) => {
+    const record = store.keys.find(candidate => candidate.id === id);
+    return record ? toPublic(record) : null;
+};
+
+/**
+ * Changes the name or tier of a key; a new tier applies to the next request.
+ * @param {string} id
+ * @param {object} input - { name?, tier? }
+ * @returns {object|null} - The updated public record, or null if the key does not exist.
+ * @throws {ApiKeyValidationError}
+ */
+const updateApiKey = (id, input) => {
+    const record = store.keys.find(candidate => candidate.id === id);
+    if (!record) {
+        return null;
+    }
+    Object.assign(record, validateInput(input, true));
+    persist();
+    return toPublic(record);
+};
+
+/**
+ * Revokes a key. The record and its usage are kept for reporting.
+ * @param {string} id
+ * @returns {boolean} - Whether an active key was revoked.
+ */
+const revokeApiKey = (id) => {
+    const record = store.keys.find(candidate => candidate.id === id);
+    if (!record || record.revokedAt) {
+        return false;
+    }
+    record.revokedAt = new Date().toISOString();
+    persist();
+    return true;
+};
+
+/**
+ * Looks up the client behind a presented key.
+ * @param {string} key - The key as sent by the client.
+ * @returns {object|null} - The active key record, or null for unknown and revoked keys.
+ */
+const authenticate = (key) => {
+    if (typeof key !== 'string' || key === '') {
+        return null;
+    }
+    const record = keysByHash.get(hashKey(key));
+    return record && !record.revokedAt ? record : null;
+};
+
+/**
+ * Counts one request of a client.
+ * @param {string} clientId - Key ID, or ANONYMOUS_CLIENT_ID.
+ * @param {object} request - { endpoint, status, rateLimited }
+ */
+const recordUsage = (clientId, { endpoint, status, rateLimited }) => {
+    const now = new Date();
+    const day = now.toISOString().slice(0, 10);
+    const usage = store.usage[clientId] || (store.usage[clientId] = { requests: 0, rateLimited: 0, byEndpoint: {}, byStatus: {}, byDay: {} });
+
+    usage.requests++;
+    if (rateLimited) {
+        usage.rateLimited++;
+    }
+    usage.byEndpoint[endpoint] = (usage.byEndpoint[endpoint] || 0) + 1;
+    usage.byStatus[status] = (usage.byStatus[status] || 0) + 1;
+    usage.byDay[day] = (usage.byDay[day] || 0) + 1;
+    usage.lastUsedAt = now.toISOString();
+
+    const oldestDay = new Date(now.getTime() - API_USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    Object.keys(usage.byDay).filter(recordedDay => recordedDay < oldestDay).forEach(recordedDay => delete usage.byDay[recordedDay]);
+
+    scheduleUsageFlush();
+};
+
+/**
+ * Usage counters per client, joined with the key name and tier.
+ * @param {string} [id] - Limit the report to one key.
+ * @returns {Array<object>} - { id, name, tier, revokedAt, requests, rateLimited, lastUsedAt, byEndpoint, byStatus, byDay }
+ */
+const getUsage = (id) => {
+    const emptyUsage = { requests: 0, rateLimited: 0, lastUsedAt: null, byEndpoint: {}, byStatus: {}, byDay: {} };
+    const clients = store.keys.map(record => ({ id: record.id, name: record.name, tier: record.tier, revokedAt: record.revokedAt }));
+    if (store.usage[ANONYMOUS_CLIENT_ID]) {
+        clients.push({ id: ANONYMOUS_CLIENT_ID, name: 'Anonymous clients', tier: rateLimitService.getAnonymousTierId(), revokedAt: null });
+    }
+    return clients
+        .filter(client => id === undefined || client.id === id)
+        .map(client => ({ ...client, ...emptyUsage, ...store.usage[client.id] }));
+};
+
+module.exports = {
+    ANONYMOUS_CLIENT_ID,
+    ApiKeyValidationError,
+    createApiKey,
+    listApiKeys,
+    getApiKey,
+    updateApiKey,
+    revokeApiKey,
+    authenticate,
+    recordUsage,
+    getUsage,
+    flushUsage,
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const AQI_SCALES_CONFIG_PATH = process.env.AQI_SCALES_CONFIG_PATH || path.join(__dirname, '..', 'config', 'aqiScales.json');
+
+/**
+ * Loads and validates the index scale definitions.
+ * Each scale: { id, name, unit, bands }; each band: { category, label, min, max, aqiMin, aqiMax, color, advisory },
+ * ordered by reading. The last band may be open-ended (`max` and `aqiMax` null).
+ * @param {string} filePath - JSON file holding { defaultScale, scales }.
+ * @returns {object} - { defaultScale, scales: Map<string, object> }
+ * @throws {Error} - If the file is unreadable or a scale is malformed.
+ */
+const loadScales = (filePath) => {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!config || !Array.isArray(config.scales) || config.scales.length === 0) {
+        throw new Error(`AQI scale config ${filePath} must contain a non-empty "scales" array.`);
+    }
+
+    const scales = new Map();
+    for (const scale of config.scales) {
+        if (!scale || typeof scale.id !== 'string' || !Array.isArray(scale.bands) || scale.bands.length === 0) {
+            throw new Error(`Invalid AQI scale in ${filePath}: ${JSON.stringify(scale && scale.id)}`);
+        }
+        scale.bands.forEach((band, index) => {
+            const isLast = index === scale.bands.length - 1;
+            const hasRange = typeof band.min === 'number' && typeof band.aqiMin === 'number' &&
+                ((typeof band.max === 'number' && typeof band.aqiMax === 'number') || (isLast && band.max === null));
+            if (!hasRange || typeof band.category !== 'string') {
+                throw new Error(`Invalid band ${index} in AQI scale "${scale.id}" (${filePath}).`);
+            }
+        });
+        scales.set(scale.id, {
+            id: scale.id,
+            name: scale.name || scale.id,
+            unit: scale.unit || null,
+            bands: scale.bands,
+        });
+    }
+
+    const defaultScale = config.defaultScale || config.scales[0].id;
+    if (!scales.has(defaultScale)) {
+        throw new Error(`Default AQI scale "${defaultScale}" is not defined in ${filePath}.`);
+    }
+    return { defaultScale, scales };
+};
+
+const { defaultScale, scales } = loadScales(AQI_SCALES_CONFIG_PATH);
+
+/**
+ * @returns {Array<object>} - Every configured scale.
+ */
+const getScales = () => Array.from(scales.values());
+
+/**
+ * @param {string} [id] - Scale ID; the default scale when omitted.
+ * @returns {object|null} - The scale, or null if it is not configured.
+ */
+const getScale = (id = defaultScale) => scales.get(id) || null;
+
+/**
+ * @returns {string} - ID of the default scale.
+ */
+const getDefaultScaleId = () => defaultScale;
+
+/**
+ * Maps a reading to a band of the scale and computes the index value by linear interpolation
+ * within the band, as both CAQI and the US EPA AQI define it. Readings above a closed top band are
+ * capped at its highest index; in an open-ended top band the index grows in proportion to the reading.
+ * @param {number} reading - The pollution value.
+ * @param {object} scale - A scale from `getScale`.
+ * @returns {object} - { aqi, aqiScale, category, categoryLabel, color, advisory }
+ */
+const rateReading = (reading, scale) => {
+    const band = scale.bands.find(candidate => candidate.max === null || reading <= candidate.max)
+        || scale.bands[scale.bands.length - 1];
+
+    let aqi;
+    if (band.max === null) {
+        aqi = band.min > 0 ? band.aqiMin * reading / band.min : band.aqiMin;
+    } else if (reading >= band.max) {
+        aqi = band.aqiMax;
+    } else {
+        const position = Math.max(0, reading - band.min) / (band.max - band.min);
+        aqi = band.aqiMin + position * (band.aqiMax - band.aqiMin);
+    }
+
+    return {
+        aqi: Math.round(aqi),
+        aqiScale: scale.id,
+        category: band.category,
+        categoryLabel: band.label || band.category,
+        color: band.color || null,
+        advisory: band.advisory || null,
+    };
+};
+
+module.exports = {
+    loadScales,
+    getScales,
+    getScale,
+    getDefaultScaleId,
+    rateReading,
+};
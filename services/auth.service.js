@@ -1,73 +1,128 @@
-const axios = require('axios');
-const { cache } = require('../utils/cache');
+const { getCache } = require('../utils/cache');
+const { createUpstreamClient } = require('../utils/httpClient');
 const dotenv = require('dotenv');
+const logger = require('../utils/logger');
 
 dotenv.config();
 
 const BASE_URL = process.env.POLLUTION_API_BASE_URL || 'https://be-recruitment-task.onrender.com';
 const USERNAME = process.env.POLLUTION_API_USERNAME;
 const PASSWORD = process.env.POLLUTION_API_PASSWORD;
+const REFRESH_PATH = process.env.POLLUTION_API_REFRESH_PATH || '/auth/refresh';
 
 const AUTH_TOKEN_CACHE_KEY = 'authToken';
+const REFRESH_TOKEN_CACHE_KEY = 'authRefreshToken';
 const TOKEN_REFRESH_BUFFER = 60; // Refresh token 60 seconds before it actually expires
 
+const cache = getCache('auth');
+
+const authClient = createUpstreamClient({
+    name: 'auth',
+    recordable: true,
+    baseURL: BASE_URL,
+    headers: {
+        'Content-Type': 'application/json',
+    },
+});
+
+// In-flight login/refresh, shared by every caller that needs a new token at the same time.
+let pendingTokenRequest = null;
+
+// Diagnostics only; never contains the token itself.
+const tokenState = {
+    expiresAt: null,
+    lastRefreshAt: null,
+    lastRefreshMethod: null,
+    consecutiveFailures: 0,
+    totalFailures: 0,
+    lastError: null,
+    invalidations: 0,
+};
+
 /**
- * Calls the login API to obtain a new Bearer Token.
- * Caches the token with its expiry time.
+ * Validates a login/refresh response and caches the token (and refresh token, if any).
+ * @param {object} data - The response body from the auth API.
+ * @param {string} method - 'login' or 'refresh', for diagnostics.
  * @returns {string} The Bearer Token.
- * @throws {Error} If login fails.
+ * @throws {Error} If the response does not contain a usable token.
  */
-const getAuthToken = async () => {
-    let tokenData = cache.get(AUTH_TOKEN_CACHE_KEY);
+const storeTokenResponse = async (data, method) => {
+    // Correctly parse 'expiresIn' from the response
+    const { token, expiresIn, refreshToken, refreshExpiresIn } = data || {};
 
-    // Check if token exists and is still valid (with a buffer for refresh)
-    if (tokenData && tokenData.token && tokenData.expiresAt > (Date.now() / 1000 + TOKEN_REFRESH_BUFFER)) {
-        console.log('Serving auth token from cache.');
-        return tokenData.token;
+    if (!token || typeof expiresIn === 'undefined') { // Check for undefined, as 0 is a valid number
+        throw new Error('Login API did not return a valid token or expiry (expiresIn).');
     }
 
-    console.log('Auth token not in cache or expired. Attempting to log in...');
-    try {
-        const response = await axios.post(`${BASE_URL}/auth/login`, {
-            username: USERNAME,
-            password: PASSWORD,
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-            },
-        });
+    const expiresInSeconds = parseInt(expiresIn, 10);
+    if (isNaN(expiresInSeconds) || expiresInSeconds <= 0) {
+        throw new Error('Invalid expiresIn value received from login API.');
+    }
 
-        // Correctly parse 'expiresIn' from the response
-        const { token, expiresIn } = response.data;
+    const expiresAt = Date.now() / 1000 + expiresInSeconds;
 
-        if (!token || typeof expiresIn === 'undefined') { // Check for undefined, as 0 is a valid number
-            throw new Error('Login API did not return a valid token or expiry (expiresIn).');
-        }
+    // Cache the token with its expiry time.
+    // The cache TTL should be slightly less than the actual token expiry
+    // to account for network delays and ensure we refresh before it's truly invalid.
+    const cacheTTL = expiresInSeconds - TOKEN_REFRESH_BUFFER; // Refresh 60 seconds before actual expiry
+    if (cacheTTL <= 0) { // Ensure TTL is positive
+        logger.warn('Token expiry is too short for a safe refresh buffer. Setting minimum cache TTL.');
+        await cache.set(AUTH_TOKEN_CACHE_KEY, { token, expiresAt }, 10); // Cache for 10 seconds if very short
+    } else {
+        await cache.set(AUTH_TOKEN_CACHE_KEY, { token, expiresAt }, cacheTTL);
+    }
 
-        const expiresInSeconds = parseInt(expiresIn, 10);
-        if (isNaN(expiresInSeconds) || expiresInSeconds <= 0) {
-            throw new Error('Invalid expiresIn value received from login API.');
-        }
+    if (refreshToken) {
+        // Without an explicit expiry the refresh token is kept until the API rejects it.
+        const refreshTTL = parseInt(refreshExpiresIn, 10);
+        await cache.set(REFRESH_TOKEN_CACHE_KEY, refreshToken, refreshTTL > 0 ? refreshTTL : 0);
+    }
 
-        // Cache the token with its expiry time.
-        // The TTL for node-cache should be slightly less than the actual token expiry
-        // to account for network delays and ensure we refresh before it's truly invalid.
-        const cacheTTL = expiresInSeconds - TOKEN_REFRESH_BUFFER; // Refresh 60 seconds before actual expiry
-        if (cacheTTL <= 0) { // Ensure TTL is positive
-            console.warn('Token expiry is too short for a safe refresh buffer. Setting minimum cache TTL.');
-            cache.set(AUTH_TOKEN_CACHE_KEY, { token, expiresAt: Date.now() / 1000 + expiresInSeconds }, 10); // Cache for 10 seconds if very short
-        } else {
-            cache.set(AUTH_TOKEN_CACHE_KEY, { token, expiresAt: Date.now() / 1000 + expiresInSeconds }, cacheTTL);
-        }
+    tokenState.expiresAt = new Date(expiresAt * 1000).toISOString();
+    tokenState.lastRefreshAt = new Date().toISOString();
+    tokenState.lastRefreshMethod = method;
+    tokenState.consecutiveFailures = 0;
+    tokenState.lastError = null;
+
+    logger.info(`Successfully obtained and cached new auth token via ${method}. Expires in ${expiresInSeconds} seconds.`);
+    return token;
+};
+
+/**
+ * Exchanges the cached refresh token for a new Bearer Token.
+ * @param {string} refreshToken - The refresh token from a previous login.
+ * @returns {string|null} The Bearer Token, or null if the refresh was rejected and a full login is needed.
+ */
+const refreshAuthToken = async (refreshToken) => {
+    try {
+        const response = await authClient.post(REFRESH_PATH, { refreshToken });
+        return await storeTokenResponse(response.data, 'refresh');
+    } catch (error) {
+        logger.warn(`Token refresh failed (${error.response ? `status ${error.response.status}` : error.message}). Falling back to login.`);
+        await cache.del(REFRESH_TOKEN_CACHE_KEY);
+        return null;
+    }
+};
 
-        console.log(`Successfully obtained and cached new auth token. Expires in ${expiresInSeconds} seconds.`);
-        return token;
+/**
+ * Calls the login API to obtain a new Bearer Token.
+ * @returns {string} The Bearer Token.
+ * @throws {Error} If login fails.
+ */
+const login = async () => {
+    try {
+        const response = await authClient.post('/auth/login', {
+            username: USERNAME,
+            password: PASSWORD,
+        });
+        return await storeTokenResponse(response.data, 'login');
 
     } catch (error) {
-        console.error('Error during login to obtain token:', error.message);
+        logger.error('Error during login to obtain token', {
+            error: error.message,
+            ...(error.response ? { status: error.response.status, response: error.response.data } : {}),
+        });
         if (error.response) {
-            console.error('Login API response data:', error.response.data);
-            console.error('Login API response status:', error.response.status);
             if (error.response.status === 401) {
                 throw new Error('Login failed: Invalid username or password for pollution API.');
             }
@@ -76,6 +131,105 @@ const getAuthToken = async () => {
     }
 };
 
+/**
+ * Obtains a new token, preferring the refresh-token flow when a refresh token is available.
+ * Concurrent callers share one in-flight request, so a burst of requests causes a single login.
+ * @returns {string} The Bearer Token.
+ * @throws {Error} If login fails.
+ */
+const requestNewToken = () => {
+    if (!pendingTokenRequest) {
+        pendingTokenRequest = (async () => {
+            try {
+                const refreshToken = await cache.get(REFRESH_TOKEN_CACHE_KEY);
+                const refreshed = refreshToken ? await refreshAuthToken(refreshToken) : null;
+                return refreshed || await login();
+            } catch (error) {
+                tokenState.consecutiveFailures++;
+                tokenState.totalFailures++;
+                tokenState.lastError = error.message;
+                throw error;
+            } finally {
+                pendingTokenRequest = null;
+            }
+        })();
+    }
+    return pendingTokenRequest;
+};
+
+/**
+ * Returns a valid Bearer Token, from cache when possible.
+ * Caches the token with its expiry time.
+ * @returns {string} The Bearer Token.
+ * @throws {Error} If login fails.
+ */
+const getAuthToken = async () => {
+    let tokenData = await cache.get(AUTH_TOKEN_CACHE_KEY);
+
+    // Check if token exists and is still valid (with a buffer for refresh)
+    if (tokenData && tokenData.token && tokenData.expiresAt > (Date.now() / 1000 + TOKEN_REFRESH_BUFFER)) {
+        logger.debug('Serving auth token from cache.');
+        return tokenData.token;
+    }
+
+    logger.info('Auth token not in cache or expired. Attempting to log in...');
+    return requestNewToken();
+};
+
+/**
+ * Drops the cached token after the API rejected it.
+ * Only the rejected token is removed, so a token obtained meanwhile by another request survives.
+ * @param {string} rejectedToken - The token that received a 401.
+ */
+const invalidateAuthToken = async (rejectedToken) => {
+    const tokenData = await cache.get(AUTH_TOKEN_CACHE_KEY);
+    if (tokenData && tokenData.token === rejectedToken) {
+        await cache.del(AUTH_TOKEN_CACHE_KEY);
+        tokenState.invalidations++;
+        tokenState.expiresAt = null;
+        logger.warn('Cached auth token was rejected by the pollution API and has been invalidated.');
+    }
+};
+
+/**
+ * Runs an authenticated request. If the API answers 401, the token is invalidated,
+ * a new one is obtained (once, shared with concurrent callers) and the request is replayed.
+ * @param {function(string): Promise} requestFn - Performs the request with the given Bearer Token.
+ * @returns {Promise} - Whatever requestFn resolves with.
+ * @throws {Error} - The error from the replayed request, or from re-authentication.
+ */
+const withAuthRetry = async (requestFn) => {
+    const token = await getAuthToken();
+    try {
+        return await requestFn(token);
+    } catch (error) {
+        if (!error.response || error.response.status !== 401) {
+            throw error;
+        }
+        logger.warn('Pollution API rejected the auth token (401). Re-authenticating and replaying the request...');
+        await invalidateAuthToken(token);
+        const freshToken = await getAuthToken();
+        return requestFn(freshToken);
+    }
+};
+
+/**
+ * Reports the auth token state for diagnostics. The token itself is never exposed.
+ * @returns {object} - Token state.
+ */
+const getTokenState = async () => {
+    const tokenData = await cache.get(AUTH_TOKEN_CACHE_KEY);
+    return {
+        hasToken: Boolean(tokenData && tokenData.token),
+        hasRefreshToken: Boolean(await cache.get(REFRESH_TOKEN_CACHE_KEY)),
+        refreshInProgress: pendingTokenRequest !== null,
+        ...tokenState,
+    };
+};
+
 module.exports = {
     getAuthToken,
+    invalidateAuthToken,
+    withAuthRetry,
+    getTokenState,
 };
@@ -0,0 +1,546 @@
+const { EventEmitter } = require('events');
+const pollutionService = require('./pollution.service');
+const wikipediaService = require('./wikipedia.service');
+const wikidataService = require('./wikidata.service');
+const classifierService = require('./classifier.service');
+const dataQualityService = require('./dataQuality.service');
+const historyService = require('./history.service');
+const countryService = require('./country.service');
+const overrideService = require('./override.service');
+const { getCache } = require('../utils/cache');
+const { foldName, cleanCityName } = require('../utils/text');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const DATASET_CACHE_KEY_PREFIX = 'pollutedCitiesData';
+const DATASET_CACHE_TTL = parseInt(process.env.DATASET_CACHE_TTL, 10) || 600; // Fresh for 10 minutes (in seconds)
+const DATASET_STALE_TTL = parseInt(process.env.DATASET_STALE_TTL, 10) || 1800; // Then served stale while refreshing for up to 30 more
+const DEGRADED_DATASET_CACHE_TTL = 60; // Partial datasets are retried sooner (in seconds)
+
+const pollutionCache = getCache('pollution');
+const wikiCache = getCache('wiki');
+
+// Emits 'refreshed' with { country, lang, dataset } whenever a dataset has been rebuilt.
+const datasetEvents = new EventEmitter();
+
+/**
+ * Validates and prepares city data, reporting every check that failed.
+ * A cleaned name is prepared for Wikipedia lookup, removing known non-city descriptors.
+ * A name declared as an alias by an admin (e.g. "Warszawa" for "Warsaw") is replaced by its canonical name,
+ * so both spellings are de-duplicated as one city; the upstream name is kept in `aliasOf`.
+ * @param {object} data - The raw city object from the pollution API.
+ * @returns {object} - { city } when valid, otherwise { city: null, stage, failedChecks }.
+ */
+const inspectCityData = (data) => {
+    const failedChecks = [];
+    if (!data || typeof data.name !== 'string' || data.name.trim() === '') {
+        failedChecks.push('name-missing');
+    }
+    if (!data || typeof data.country !== 'string' || data.country.trim() === '') {
+        failedChecks.push('country-missing');
+    }
+    const pollutionValue = data ? parseFloat(data.pollution) : NaN;
+    if (isNaN(pollutionValue)) {
+        failedChecks.push('pollution-not-a-number');
+    } else if (pollutionValue < 0) {
+        failedChecks.push('pollution-negative');
+    }
+    if (failedChecks.length > 0) {
+        return { city: null, stage: dataQualityService.STAGES.VALIDATION, failedChecks };
+    }
+
+    const originalName = data.name.trim();
+    const lookupName = cleanCityName(originalName);
+
+    // Basic filter for truly invalid names after minimal cleaning (for lookup)
+    if (lookupName === '') {
+        failedChecks.push('lookup-name-empty');
+    } else if (/^[0-9]+$/.test(lookupName)) {
+        failedChecks.push('lookup-name-numeric');
+    } else if (lookupName.length <= 1) { // Allow "A" for city names like "A Coruña"
+        failedChecks.push('lookup-name-too-short');
+    }
+    if (failedChecks.length > 0) {
+        return { city: null, stage: dataQualityService.STAGES.NAME_CLEANING, failedChecks };
+    }
+
+    const country = data.country.trim();
+    const canonicalName = overrideService.resolveAlias(country, originalName) || overrideService.resolveAlias(country, lookupName);
+    if (canonicalName) {
+        return {
+            city: { originalName: canonicalName, lookupName: canonicalName, aliasOf: originalName, country: country, pollution: pollutionValue },
+        };
+    }
+
+    return {
+        city: {
+            originalName: originalName, // Store original name for final output
+            lookupName: lookupName, // Use this for Wikipedia lookups
+            country: country,
+            pollution: pollutionValue,
+        },
+    };
+};
+
+/**
+ * Validates and prepares city data, returning the original name for output.
+ * @param {object} data - The raw city object from the pollution API.
+ * @returns {object|null} - Validated city data with original name and lookup name, or null if invalid.
+ */
+const normalizeCityData = (data) => inspectCityData(data).city;
+
+/**
+ * Wikipedia editions to try for a city, in order: the requested language, the country's own
+ * language (local-only towns often have no article elsewhere), then English.
+ * @param {string} lang - Requested language.
+ * @param {string} countryCode - The city's country code.
+ * @returns {Array<string>} - Distinct language codes.
+ */
+const getLanguageChain = (lang, countryCode) => {
+    const country = countryService.getCountry(countryCode);
+    return Array.from(new Set([lang, country ? country.wikipediaLanguage : null, wikipediaService.DEFAULT_LANGUAGE].filter(Boolean)));
+};
+
+/**
+ * Fetches Wikipedia description for a city, using cache.
+ * Each search hit is classified (Wikidata first, keyword heuristic as fallback) to ensure it's a relevant populated place.
+ * Every query is tried in each language of the fallback chain before moving on to the next language.
+ * @param {string} originalName - The original name of the city (for output if found).
+ * @param {string} countryName - The country code.
+ * @param {string} lookupName - The cleaned name for Wikipedia queries.
+ * @param {string} [lang='en'] - Preferred Wikipedia language.
+ * @returns {object} - { match, decisions }: `match` is { description, title, language, coordinates, classification } of the
+ *   accepted page or null; `decisions` lists the classification of every query that was tried, in order.
+ * @throws {Error} - If Wikipedia could not be reached, so the city could not be verified either way.
+ */
+const getWikipediaDescription = async (originalName, countryName, lookupName, lang = wikipediaService.DEFAULT_LANGUAGE) => {
+    // Prioritize queries that are most likely to be correct.
+    const searchQueries = [
+        `${originalName}, ${countryName}`, // Original name + country (best chance for exact match)
+        `${lookupName}, ${countryName}`, // Cleaned name + country
+        originalName, // Original name only
+        lookupName // Cleaned name only
+    ];
+    const decisions = [];
+
+    for (const language of getLanguageChain(lang, countryName)) {
+        for (const query of searchQueries) {
+            // The country is part of the key: queries without it ("Springfield") are accepted or rejected per country.
+            const cacheKey = `wiki_match_${countryName.toUpperCase()}_${language}_${query}`;
+            let match = await wikiCache.get(cacheKey);
+
+            if (match) {
+                decisions.push({ accepted: true, query: query, title: match.title, language: language, ...match.classification, cached: true });
+                return { match, decisions };
+            }
+
+            const wikiData = await wikipediaService.fetchCityDescription(query, language);
+            if (!wikiData || !wikiData.description) {
+                decisions.push({ accepted: false, rule: 'no-wikipedia-result', source: 'wikipedia', query: query, language: language });
+                continue;
+            }
+
+            const decision = await classifierService.classifyCandidate({
+                candidate: wikiData,
+                query: query,
+                originalName: originalName,
+                lookupName: lookupName,
+                countryCode: countryName,
+                lang: language,
+            });
+            decisions.push(decision);
+
+            if (decision.accepted) {
+                match = {
+                    description: wikiData.description,
+                    title: wikiData.title,
+                    language: language,
+                    coordinates: wikiData.coordinates || null,
+                    classification: { rule: decision.rule, source: decision.source },
+                };
+                await wikiCache.set(cacheKey, match);
+                return { match, decisions };
+            }
+
+            logger.warn(`${language} Wikipedia page "${wikiData.title}" for "${query}" rejected by rule ${decision.rule}: ${JSON.stringify(decision.checks)}`);
+        }
+    }
+
+    return { match: null, decisions };
+};
+
+// Classification reported for cities whose description or page was set by an admin override.
+const ADMIN_CLASSIFICATION = { rule: 'admin-override', source: 'admin' };
+
+/**
+ * Looks up a city's description with an admin override applied. A pinned `wikipediaTitle` replaces the
+ * search and the classifier; a manual `description` replaces whatever was found; `include` keeps the city
+ * even when no page was accepted.
+ * @param {object} city - Validated city entry.
+ * @param {object} override - From `overrideService.findCityOverride`.
+ * @param {string} lang - Preferred Wikipedia language.
+ * @returns {object} - { match, decisions }, like `getWikipediaDescription`.
+ * @throws {Error} - If Wikipedia could not be reached.
+ */
+const getOverriddenDescription = async (city, override, lang) => {
+    let match = null;
+    let decisions = [];
+
+    if (override.wikipediaTitle) {
+        const page = await wikipediaService.fetchPageDetails(override.wikipediaTitle, override.language);
+        if (page && page.extract) {
+            match = {
+                description: wikipediaService.summarizeExtract(page.extract),
+                title: page.title,
+                language: override.language,
+                coordinates: page.coordinates,
+                classification: ADMIN_CLASSIFICATION,
+            };
+        } else {
+            logger.warn(`Pinned ${override.language} Wikipedia page "${override.wikipediaTitle}" for "${city.originalName}" (${city.country}) does not exist.`);
+            decisions.push({ accepted: false, rule: 'admin-pinned-title-missing', source: 'admin', title: override.wikipediaTitle, language: override.language });
+        }
+    } else {
+        ({ match, decisions } = await getWikipediaDescription(city.originalName, city.country, city.lookupName, lang));
+    }
+
+    if (override.description) {
+        match = { title: null, language: null, coordinates: null, ...match, description: override.description, classification: ADMIN_CLASSIFICATION };
+    } else if (!match && override.action === 'include') {
+        match = { description: null, title: null, language: null, coordinates: null, classification: ADMIN_CLASSIFICATION };
+    }
+    return { match, decisions };
+};
+
+/**
+ * Orders cities by pollution (highest first), then name, then country,
+ * so that slicing the dataset into pages is stable between requests.
+ * @param {object} a - City entry.
+ * @param {object} b - City entry.
+ * @returns {number} - Sort comparator result.
+ */
+const compareCities = (a, b) => {
+    if (b.pollution !== a.pollution) {
+        return b.pollution - a.pollution;
+    }
+    const byName = a.name.localeCompare(b.name);
+    if (byName !== 0) {
+        return byName;
+    }
+    return a.country.localeCompare(b.country);
+};
+
+/**
+ * Validates raw entries and collapses duplicates of the same city within a country.
+ * Duplicates are matched on the cleaned lookup name; the highest reading is kept.
+ * @param {Array<object>} rawCities - Raw entries from the pollution API.
+ * @param {Array<object>} rejected - Receives a rejection record for every dropped entry.
+ * @returns {Array<object>} - Validated, unique city entries (each with its `raw` entry).
+ */
+const validateAndDeduplicate = (rawCities, rejected) => {
+    const uniqueCities = new Map();
+
+    for (const cityEntry of rawCities) {
+        const { city, stage, failedChecks } = inspectCityData(cityEntry);
+
+        if (!city) {
+            logger.warn(`Filtered out corrupted or incomplete entry during ${stage} (${failedChecks.join(', ')}): ${JSON.stringify(cityEntry)}`);
+            rejected.push(dataQualityService.createRejection(cityEntry, stage, failedChecks,
+                stage === dataQualityService.STAGES.VALIDATION
+                    ? 'Entry is missing a name or country, or has an invalid pollution value.'
+                    : 'Name is not usable after removing descriptors and normalising case.'));
+            continue;
+        }
+
+        const preparedCity = { ...city, raw: cityEntry };
+        const dedupeKey = `${preparedCity.country.toUpperCase()}|${preparedCity.lookupName.toLowerCase()}`;
+        const existing = uniqueCities.get(dedupeKey);
+        const dropped = !existing || preparedCity.pollution > existing.pollution ? existing : preparedCity;
+        if (dropped === existing) {
+            uniqueCities.set(dedupeKey, preparedCity);
+        }
+        if (dropped) {
+            const kept = uniqueCities.get(dedupeKey);
+            logger.warn(`Dropped duplicate entry "${dropped.originalName}" (${dropped.country}); keeping "${kept.originalName}".`);
+            rejected.push(dataQualityService.createRejection(dropped.raw, dataQualityService.STAGES.DEDUPLICATION, ['duplicate-name'],
+                `Duplicate of "${kept.originalName}", which has the same or a higher reading (${kept.pollution}).`));
+        }
+    }
+
+    return Array.from(uniqueCities.values());
+};
+
+/**
+ * Builds the complete dataset for a country (or all countries): every upstream page is fetched,
+ * entries are validated, de-duplicated, enriched with Wikipedia descriptions and sorted.
+ * Upstream failures that only affect part of the data are reported in `warnings` instead of failing the build,
+ * and every excluded upstream entry is listed in `rejected` with the stage and checks that dropped it.
+ * Admin overrides (force-include/exclude, pinned pages, manual descriptions) are applied per city.
+ * The readings of the accepted cities are appended to the history store.
+ * @param {string} [country] - Optional country code.
+ * @param {string} lang - Preferred language of the descriptions.
+ * @returns {object} - { cities, total, degraded, warnings, rejected, language, generatedAt }
+ */
+const buildCitiesDataset = async (country, lang) => {
+    const pollutionData = await pollutionService.fetchPollutionData(country);
+    const rawCities = pollutionData && Array.isArray(pollutionData.cities) ? pollutionData.cities : [];
+    const warnings = pollutionData && Array.isArray(pollutionData.failedSources) ? [...pollutionData.failedSources] : [];
+    const rejected = [];
+    const validCitiesToProcess = validateAndDeduplicate(rawCities, rejected);
+    const unverifiedCities = [];
+
+    const wikipediaPromises = validCitiesToProcess.map(async (city) => {
+        const override = overrideService.findCityOverride(city.country, [city.originalName, city.lookupName, city.aliasOf]);
+        if (override && override.action === 'exclude') {
+            logger.warn(`City "${city.originalName}" (${city.country}) excluded by an admin override.`);
+            rejected.push(dataQualityService.createRejection(city.raw, dataQualityService.STAGES.ADMIN_OVERRIDE, ['force-excluded'],
+                `Excluded by an admin override${override.note ? `: ${override.note}` : '.'}`));
+            return null;
+        }
+
+        let result;
+        try {
+            result = override
+                ? await getOverriddenDescription(city, override, lang)
+                : await getWikipediaDescription(city.originalName, city.country, city.lookupName, lang);
+        } catch (error) {
+            unverifiedCities.push(`${city.originalName} (${city.country})`);
+            rejected.push(dataQualityService.createRejection(city.raw, dataQualityService.STAGES.WIKIPEDIA_UNAVAILABLE,
+                ['wikipedia-unreachable'], `Could not be verified: ${error.message}`));
+            return null;
+        }
+
+        const { match, decisions } = result;
+        if (match) {
+            return {
+                name: city.originalName,
+                country: city.country,
+                pollution: city.pollution,
+                description: match.description,
+                wikipediaTitle: match.title,
+                language: match.language || wikipediaService.DEFAULT_LANGUAGE,
+                coordinates: match.coordinates || null,
+                classification: match.classification || null,
+            };
+        }
+
+        const hadCandidate = decisions.some(decision => decision.rule !== 'no-wikipedia-result');
+        logger.warn(`City "${city.originalName}" (${city.country}) filtered out due to no relevant Wikipedia description.`);
+        rejected.push(dataQualityService.createRejection(city.raw,
+            hadCandidate ? dataQualityService.STAGES.RELEVANCE_FILTER : dataQualityService.STAGES.NO_WIKIPEDIA_HIT,
+            decisions,
+            hadCandidate
+                ? 'No Wikipedia search result was accepted as this city.'
+                : 'No Wikipedia search returned a page.'));
+        return null;
+    });
+
+    const cities = (await Promise.all(wikipediaPromises)).filter(city => city !== null);
+    cities.sort(compareCities);
+
+    if (unverifiedCities.length > 0) {
+        warnings.push({
+            source: 'wikipedia',
+            message: `${unverifiedCities.length} city/cities could not be verified because Wikipedia was unavailable and were left out.`,
+            cities: unverifiedCities,
+        });
+    }
+
+    metrics.recordDatasetEntries(cities, rejected);
+
+    const generatedAt = new Date().toISOString();
+    try {
+        await historyService.recordReadings(cities, generatedAt);
+    } catch (error) {
+        logger.error('Could not record pollution history', { error: error.message });
+    }
+
+    return {
+        cities: cities,
+        total: cities.length,
+        degraded: warnings.length > 0,
+        warnings: warnings,
+        rejected: rejected,
+        language: lang,
+        generatedAt: generatedAt,
+    };
+};
+
+const datasetCacheKey = (country, lang) => `${DATASET_CACHE_KEY_PREFIX}_${country ? country.toUpperCase() : 'default'}_${lang}`;
+
+/**
+ * Builds a dataset and announces it to `datasetEvents` listeners (e.g. live update streams).
+ * @param {string} [country] - Optional country code.
+ * @param {string} lang - Preferred language of the descriptions.
+ * @returns {Promise<object>} - The dataset.
+ */
+const buildAndAnnounceDataset = async (country, lang) => {
+    const dataset = await buildCitiesDataset(country, lang);
+    datasetEvents.emit('refreshed', { country: country ? country.toUpperCase() : null, lang, dataset });
+    return dataset;
+};
+
+// Degraded datasets are kept fresh only briefly so that failed sources are retried soon.
+const datasetCacheOptions = {
+    ttl: (dataset) => dataset.degraded ? DEGRADED_DATASET_CACHE_TTL : DATASET_CACHE_TTL,
+    staleTTL: DATASET_STALE_TTL,
+};
+
+/**
+ * Returns the validated, enriched dataset for a country (or all countries), using cache.
+ * The whole dataset is cached as one unit so paging through it never re-hits the upstream APIs.
+ * Concurrent misses share one build, and an expired dataset is served stale while it is rebuilt in the background.
+ * Each description language is a separate dataset.
+ * @param {string} [country] - Optional country code.
+ * @param {string} [lang='en'] - Preferred language of the descriptions.
+ * @returns {object} - { dataset, cacheStatus: 'fresh'|'stale'|'miss', ageSeconds }
+ */
+const getCitiesDataset = async (country, lang = wikipediaService.DEFAULT_LANGUAGE) => {
+    const { value, status, ageSeconds } = await pollutionCache.getOrRefresh(
+        datasetCacheKey(country, lang),
+        () => {
+            logger.info(`City dataset for ${country || 'all default countries'} (${lang}) not fresh in cache. Hitting the API now...`);
+            return buildAndAnnounceDataset(country, lang);
+        },
+        datasetCacheOptions
+    );
+
+    if (status !== 'miss') {
+        logger.debug(`Serving ${status} city dataset for ${country || 'all default countries'} (${lang}) from cache (${ageSeconds}s old).`);
+    }
+    return { dataset: value, cacheStatus: status, ageSeconds };
+};
+
+// A merged response is only as fresh as its least fresh part.
+const CACHE_STATUS_ORDER = ['fresh', 'stale', 'miss'];
+
+/**
+ * Returns one dataset covering several countries, merged from the cached per-country datasets,
+ * so any combination of countries reuses the same cache entries.
+ * With no countries the default (all countries) dataset is returned.
+ * @param {Array<string>} countries - Country codes.
+ * @param {string} [lang='en'] - Preferred language of the descriptions.
+ * @returns {object} - { dataset, cacheStatus, ageSeconds }, like `getCitiesDataset`.
+ */
+const getCitiesDatasetForCountries = async (countries, lang = wikipediaService.DEFAULT_LANGUAGE) => {
+    const codes = Array.from(new Set(countries.map(code => code.toUpperCase())));
+    if (codes.length <= 1) {
+        return getCitiesDataset(codes[0], lang);
+    }
+
+    const parts = await Promise.all(codes.map(code => getCitiesDataset(code, lang)));
+    const datasets = parts.map(part => part.dataset);
+    const cities = datasets.flatMap(dataset => dataset.cities).sort(compareCities);
+    const warnings = datasets.flatMap(dataset => dataset.warnings);
+
+    return {
+        dataset: {
+            cities: cities,
+            total: cities.length,
+            degraded: datasets.some(dataset => dataset.degraded),
+            warnings: warnings,
+            rejected: datasets.flatMap(dataset => dataset.rejected || []),
+            language: lang,
+            generatedAt: datasets.map(dataset => dataset.generatedAt).sort()[0],
+        },
+        cacheStatus: CACHE_STATUS_ORDER[Math.max(...parts.map(part => CACHE_STATUS_ORDER.indexOf(part.cacheStatus)))],
+        ageSeconds: Math.max(...parts.map(part => part.ageSeconds)),
+    };
+};
+
+/**
+ * Rebuilds the dataset for a country (or all countries) and stores it, regardless of its cache state.
+ * Used by the pre-warm scheduler; joins a build that is already running for the same key.
+ * @param {string} [country] - Optional country code.
+ * @param {string} [lang='en'] - Preferred language of the descriptions.
+ * @returns {object} - The rebuilt dataset.
+ */
+const refreshCitiesDataset = (country, lang = wikipediaService.DEFAULT_LANGUAGE) => pollutionCache.refresh(
+    datasetCacheKey(country, lang),
+    () => buildAndAnnounceDataset(country, lang),
+    datasetCacheOptions
+);
+
+/**
+ * Drops the cached datasets that contain a country (its own and the all-countries dataset, in every language),
+ * so that the next request rebuilds them. Used after admin overrides change.
+ * @param {string} country - Country code.
+ * @returns {Promise<number>} - Number of cache entries removed.
+ */
+const invalidateCitiesDatasets = async (country) => {
+    const prefixes = [`${DATASET_CACHE_KEY_PREFIX}_${country.toUpperCase()}_`, `${DATASET_CACHE_KEY_PREFIX}_default_`];
+    const removed = await Promise.all(prefixes.map(prefix => pollutionCache.invalidate(prefix)));
+    return removed.reduce((sum, count) => sum + count, 0);
+};
+
+/**
+ * Looks up one city of the validated dataset and enriches it with the full Wikipedia page
+ * (intro extract, canonical title and URL, page ID, thumbnail) and Wikidata facts (population, coordinates).
+ * Names match case- and diacritic-insensitively, against both the cleaned upstream name (so "Warsaw" finds
+ * "Warsaw (Zone)", as the history does) and the Wikipedia title.
+ * The page is read from the same Wikipedia edition the city's description came from.
+ * @param {string} country - Country code (e.g., 'PL').
+ * @param {string} name - City name (e.g., 'Krakow').
+ * @param {string} [lang='en'] - Preferred language of the descriptions.
+ * @returns {object|null} - City details, or null if the city is not in the dataset.
+ */
+const getCityDetails = async (country, name, lang = wikipediaService.DEFAULT_LANGUAGE) => {
+    const { dataset } = await getCitiesDataset(country, lang);
+    const wantedName = foldName(cleanCityName(name));
+    const city = dataset.cities.find(candidate =>
+        candidate.country.toUpperCase() === country.toUpperCase() &&
+        (foldName(cleanCityName(candidate.name)) === wantedName || (candidate.wikipediaTitle && foldName(candidate.wikipediaTitle) === foldName(name)))
+    );
+
+    if (!city) {
+        return null;
+    }
+
+    const warnings = [];
+    let page = null;
+    let facts = null;
+    try {
+        page = await wikipediaService.fetchPageDetails(city.wikipediaTitle || city.name, city.language);
+        if (page && page.wikidataId) {
+            facts = await wikidataService.fetchEntityFacts(page.wikidataId);
+        }
+    } catch (error) {
+        logger.error(`Could not load full details for "${city.name}" (${city.country})`, { error: error.message });
+        warnings.push({ source: page ? 'wikidata' : 'wikipedia', message: `Details are incomplete: ${error.message}` });
+    }
+
+    return {
+        name: city.name,
+        country: city.country,
+        pollution: city.pollution,
+        description: city.description,
+        language: city.language,
+        wikipedia: page ? {
+            title: page.title,
+            url: page.url,
+            pageId: page.pageId,
+            extract: page.extract,
+            thumbnail: page.thumbnail,
+        } : null,
+        coordinates: (page && page.coordinates) || (facts && facts.coordinates) || null,
+        population: facts ? facts.population : null,
+        wikidataId: page ? page.wikidataId : null,
+        degraded: warnings.length > 0 || dataset.degraded,
+        warnings: warnings.concat(dataset.warnings),
+        generatedAt: dataset.generatedAt,
+    };
+};
+
+module.exports = {
+    datasetEvents,
+    DATASET_CACHE_TTL,
+    DATASET_STALE_TTL,
+    getCitiesDataset,
+    getCitiesDatasetForCountries,
+    refreshCitiesDataset,
+    invalidateCitiesDatasets,
+    getCityDetails,
+    compareCities,
+    normalizeCityData,
+    getWikipediaDescription,
+};
@@ -0,0 +1,148 @@
+const { foldName } = require('../utils/text');
+
+// Fields a city can be sorted by; a leading '-' sorts descending.
+const SORT_FIELDS = ['pollution', 'aqi', 'name', 'country'];
+const DEFAULT_SORT = '-pollution';
+
+// Fields of a rated city that `fields=` may select.
+const SELECTABLE_FIELDS = [
+    'name', 'country', 'pollution', 'description', 'wikipediaTitle', 'language', 'coordinates', 'classification',
+    'aqi', 'aqiScale', 'category', 'categoryLabel', 'color', 'advisory',
+];
+
+/**
+ * Error for a query parameter that cannot be used; the message names the parameter.
+ */
+class QueryParameterError extends Error {
+    constructor(parameter, message) {
+        super(`Invalid "${parameter}": ${message}`);
+        this.name = 'QueryParameterError';
+        this.parameter = parameter;
+    }
+}
+
+/**
+ * Splits a comma-separated parameter into trimmed, non-empty values.
+ * @param {string|Array<string>} value - Query value (repeated parameters arrive as an array).
+ * @returns {Array<string>}
+ */
+const parseList = (value) => [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(item => item !== '');
+
+/**
+ * @returns {number|null} - The parsed number, or null when the parameter is absent.
+ * @throws {QueryParameterError} - If the value is not a non-negative number.
+ */
+const parseNonNegativeNumber = (query, parameter) => {
+    const value = query[parameter];
+    if (value === undefined) {
+        return null;
+    }
+    const parsed = Number(value);
+    if (typeof value !== 'string' || value.trim() === '' || isNaN(parsed) || parsed < 0) {
+        throw new QueryParameterError(parameter, 'must be a non-negative number.');
+    }
+    return parsed;
+};
+
+/**
+ * Parses the filtering, sorting and field selection parameters of `/cities`.
+ * @param {object} query - Express `req.query`.
+ * @param {object} scale - The index scale in use, for validating `category`.
+ * @returns {object} - { minPollution, maxPollution, minAqi, category, name, sort, fields }
+ * @throws {QueryParameterError} - For the first parameter that cannot be used.
+ */
+const parseCityQuery = (query, scale) => {
+    const minPollution = parseNonNegativeNumber(query, 'minPollution');
+    const maxPollution = parseNonNegativeNumber(query, 'maxPollution');
+    if (minPollution !== null && maxPollution !== null && minPollution > maxPollution) {
+        throw new QueryParameterError('maxPollution', 'must not be lower than minPollution.');
+    }
+    const minAqi = parseNonNegativeNumber(query, 'minAqi');
+
+    const categories = scale.bands.map(band => band.category);
+    const { category } = query;
+    if (category !== undefined && !categories.includes(category)) {
+        throw new QueryParameterError('category', `"${category}" is not a category of scale "${scale.id}". Valid categories: ${categories.join(', ')}.`);
+    }
+
+    let name = null;
+    if (query.name !== undefined) {
+        name = typeof query.name === 'string' ? foldName(query.name.trim()) : '';
+        if (name === '') {
+            throw new QueryParameterError('name', 'must be a non-empty string.');
+        }
+    }
+
+    const sort = query.sort === undefined ? DEFAULT_SORT : query.sort;
+    if (typeof sort !== 'string' || !SORT_FIELDS.includes(sort.replace(/^-/, ''))) {
+        throw new QueryParameterError('sort', `must be one of ${SORT_FIELDS.flatMap(field => [field, `-${field}`]).join(', ')}.`);
+    }
+
+    let fields = null;
+    if (query.fields !== undefined) {
+        fields = parseList(query.fields);
+        const unknown = fields.filter(field => !SELECTABLE_FIELDS.includes(field));
+        if (fields.length === 0 || unknown.length > 0) {
+            throw new QueryParameterError('fields', `${unknown.length > 0 ? `unknown field(s) ${unknown.join(', ')}. ` : ''}Selectable fields: ${SELECTABLE_FIELDS.join(', ')}.`);
+        }
+    }
+
+    return { minPollution, maxPollution, minAqi, category: category || null, name, sort, fields };
+};
+
+/**
+ * Builds a comparator for a `sort` value. Ties keep the dataset order (pollution descending, then name, then country),
+ * because Array.prototype.sort is stable.
+ * @param {string} sort - e.g. 'name' or '-pollution'.
+ * @returns {function(object, object): number}
+ */
+const compareBy = (sort) => {
+    const descending = sort.startsWith('-');
+    const field = sort.replace(/^-/, '');
+    return (a, b) => {
+        const result = typeof a[field] === 'string' ? a[field].localeCompare(b[field]) : a[field] - b[field];
+        return descending ? -result : result;
+    };
+};
+
+/**
+ * Filters and sorts rated cities according to parsed query options.
+ * @param {Array<object>} cities - Cities already rated on the index scale, in dataset order.
+ * @param {object} options - From `parseCityQuery`.
+ * @returns {Array<object>}
+ */
+const applyCityQuery = (cities, options) => {
+    const matching = cities.filter(city =>
+        (options.minPollution === null || city.pollution >= options.minPollution) &&
+        (options.maxPollution === null || city.pollution <= options.maxPollution) &&
+        (options.minAqi === null || city.aqi >= options.minAqi) &&
+        (!options.category || city.category === options.category) &&
+        (!options.name || foldName(city.name).startsWith(options.name) ||
+            (city.wikipediaTitle && foldName(city.wikipediaTitle).startsWith(options.name)))
+    );
+    return options.sort === DEFAULT_SORT ? matching : matching.sort(compareBy(options.sort));
+};
+
+/**
+ * Reduces a city to the selected fields (sparse fieldset).
+ * @param {object} city
+ * @param {Array<string>|null} fields - Fields to keep; null keeps everything.
+ * @returns {object}
+ */
+const selectFields = (city, fields) => {
+    if (!fields) {
+        return city;
+    }
+    return Object.fromEntries(fields.filter(field => field in city).map(field => [field, city[field]]));
+};
+
+module.exports = {
+    QueryParameterError,
+    parseList,
+    parseCityQuery,
+    applyCityQuery,
+    selectFields,
+};
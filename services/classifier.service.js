@@ -0,0 +1,217 @@
+const wikidataService = require('./wikidata.service');
+const countryService = require('./country.service');
+const logger = require('../utils/logger');
+
+// Wikidata classes accepted as "a city": instance of (P31) one of these, directly or via up to
+// MAX_SUBCLASS_DEPTH levels of "subclass of" (P279), e.g. "city with powiat rights" -> "city".
+const SETTLEMENT_TYPES = new Set([
+    'Q486972', // human settlement
+    'Q515', // city
+    'Q3957', // town
+    'Q532', // village
+    'Q1549591', // big city
+    'Q1637706', // city with millions of inhabitants
+    'Q200250', // metropolis
+    'Q5119', // capital city
+    'Q15284', // municipality
+    'Q484170', // commune of France
+    'Q2074737', // municipality of Spain
+    'Q42744322', // urban municipality of Germany
+]);
+const MAX_SUBCLASS_DEPTH = 2;
+
+// --- Strong Negative Indicators (fallback heuristic only: if any of these are present, filter it out) ---
+const STRONG_NEGATIVE_KEYWORDS = [
+    'may refer to:', 'disambiguation page', 'film', 'album', 'number', 'symbol',
+    'species', 'river', 'mountain range', 'historical region', 'concept', 'theory',
+    'organization', 'company', 'product', 'mathematical', 'scientific', 'list of',
+    'is a character in', 'is a fictional', 'is an abstract', 'is a type of', 'refers to',
+    'is a genus of', 'is a surname', 'is a given name', 'is a song', 'is an episode',
+    'is a novel by', 'is a play by', 'is a television series', 'is a video game',
+    'is a computer program', 'is an acronym for', 'is a chemical element', 'is a unit of',
+    'dictator', 'tank series', 'medicine', 'monitoring', 'political party', 'streaming service', 'election', 'polling',
+    'aircraft', 'military', 'weapon', 'vehicle', 'disease', 'condition', 'medical parameter', 'observation of', 'historical figure',
+    'fictional character', 'fictional place', 'fictional entity', 'corporate entity', 'software', 'platform', 'service',
+    // Explicitly added based on problematic examples and their descriptions:
+    'industrial region', 'power plant', 'monitoring station', 'industrial zone', 'unknown point',
+    'facility', 'station', 'complex', 'area (disambiguation)', 'site (disambiguation)', 'point (disambiguation)',
+    'alpha (disambiguation)', 'b (disambiguation)', 'c (disambiguation)', 'd (disambiguation)', 'e (disambiguation)', // Generic single letters
+    'number (disambiguation)', 'number theory', 'mathematical constant', 'mathematical concept',
+    'medical condition', 'medical device', 'medical procedure', 'medical treatment', 'medical system',
+    'military unit', 'military base', 'military operation', 'military vehicle', 'military aircraft',
+    'political party', 'political movement', 'political organization', 'political system', 'political theory',
+    'streaming service', 'television series', 'video game', 'software platform', 'software service',
+    'historical event', 'historical period', 'historical figure', 'historical site',
+    'geological feature', 'body of water', 'mountain range', 'natural feature'
+];
+
+/**
+ * Checks whether the page text or title mentions the country (name, native name or demonym from the registry,
+ * plus its names in the page's language).
+ * @returns {boolean}
+ */
+const mentionsCountry = (lowerDesc, lowerTitle, countryCode, lang) => {
+    const lowerCountryTerms = countryService.getCountryTerms(countryCode, lang).map(term => term.toLowerCase());
+    return lowerCountryTerms.some(term => lowerDesc.includes(term) || lowerTitle.includes(term));
+};
+
+/**
+ * Decides whether any of the given Wikidata classes is a settlement type,
+ * walking "subclass of" up to MAX_SUBCLASS_DEPTH levels.
+ * @param {Array<string>} typeIds - Item IDs from "instance of".
+ * @param {function(string): Promise<object|null>} fetchFacts - Loads entity facts by item ID.
+ * @returns {Promise<string|null>} - The matching settlement class, or null.
+ */
+const findSettlementType = async (typeIds, fetchFacts) => {
+    const visited = new Set();
+    let frontier = typeIds;
+
+    for (let depth = 0; depth <= MAX_SUBCLASS_DEPTH && frontier.length > 0; depth++) {
+        const match = frontier.find(typeId => SETTLEMENT_TYPES.has(typeId));
+        if (match) {
+            return match;
+        }
+        if (depth === MAX_SUBCLASS_DEPTH) {
+            break;
+        }
+        frontier.forEach(typeId => visited.add(typeId));
+        const parents = await Promise.all(frontier.map(typeId => fetchFacts(typeId)));
+        frontier = Array.from(new Set(parents
+            .filter(Boolean)
+            .flatMap(facts => facts.subclassOf)
+            .filter(typeId => !visited.has(typeId))));
+    }
+    return null;
+};
+
+/**
+ * Original keyword heuristic, used only when no Wikidata facts are available.
+ * @returns {object} - Decision.
+ */
+const classifyByKeywords = ({ lowerDesc, lowerTitle, countryCode, lang }, checks) => {
+    const negativeMatch = STRONG_NEGATIVE_KEYWORDS.find(keyword => lowerDesc.includes(keyword));
+    const titleNegativeMatch = STRONG_NEGATIVE_KEYWORDS.find(keyword => lowerTitle.includes(keyword));
+    const isCountryRelevant = mentionsCountry(lowerDesc, lowerTitle, countryCode, lang);
+
+    Object.assign(checks, {
+        strongNegativeMatch: negativeMatch || null,
+        titleStrongNegativeMatch: titleNegativeMatch || null,
+        countryRelevant: isCountryRelevant,
+    });
+
+    if (negativeMatch || titleNegativeMatch) {
+        return { accepted: false, rule: 'keyword-negative-match', source: 'keywords' };
+    }
+    if (!isCountryRelevant) {
+        return { accepted: false, rule: 'keyword-country-irrelevant', source: 'keywords' };
+    }
+    return { accepted: true, rule: 'keyword-heuristic', source: 'keywords' };
+};
+
+/**
+ * Classifies using the structured facts of the page's Wikidata item.
+ * @returns {object} - Decision.
+ */
+const classifyByWikidata = async (facts, { lowerDesc, lowerTitle, countryCode, lang }, checks, fetchFacts) => {
+    const settlementType = await findSettlementType(facts.instanceOf, fetchFacts);
+    const country = countryService.getCountry(countryCode);
+    const expectedCountry = country ? country.wikidataId : null;
+
+    Object.assign(checks, {
+        wikidataId: facts.id,
+        instanceOf: facts.instanceOf,
+        settlementType: settlementType,
+        countries: facts.countries,
+        expectedCountry: expectedCountry,
+    });
+
+    if (!settlementType) {
+        return { accepted: false, rule: 'wikidata-not-settlement', source: 'wikidata' };
+    }
+    if (facts.countries.length === 0) {
+        // Rare for settlements; fall back to the text mentioning the country.
+        checks.countryRelevant = mentionsCountry(lowerDesc, lowerTitle, countryCode, lang);
+        return checks.countryRelevant
+            ? { accepted: true, rule: 'wikidata-settlement-text-country', source: 'wikidata' }
+            : { accepted: false, rule: 'wikidata-country-unknown', source: 'wikidata' };
+    }
+    if (!expectedCountry || !facts.countries.includes(expectedCountry)) {
+        return { accepted: false, rule: 'wikidata-country-mismatch', source: 'wikidata' };
+    }
+    return { accepted: true, rule: 'wikidata-settlement', source: 'wikidata' };
+};
+
+/**
+ * Decides whether a Wikipedia search hit is the requested city.
+ * The hit must be about the queried name; then its Wikidata item must be a human settlement in the
+ * requested country. When the page has no Wikidata item or Wikidata cannot be reached, the keyword
+ * heuristic is used instead. Every decision names the rule that produced it and the checks behind it.
+ * @param {object} input
+ * @param {object} input.candidate - { description, title, wikidataId } from the Wikipedia search.
+ * @param {string} input.query - The search query that produced the candidate.
+ * @param {string} input.originalName - The name from the pollution API.
+ * @param {string} input.lookupName - The cleaned name.
+ * @param {string} input.countryCode - The requested country code (e.g., 'PL').
+ * @param {string} [input.lang='en'] - Language of the Wikipedia edition the candidate comes from.
+ * @param {object} [options]
+ * @param {function(string): Promise<object|null>} [options.fetchFacts] - Loads Wikidata facts; replaceable for fixtures.
+ * @returns {Promise<object>} - { accepted, rule, source, query, title, language, checks }
+ */
+const classifyCandidate = async ({ candidate, query, originalName, lookupName, countryCode, lang = 'en' }, { fetchFacts = wikidataService.fetchEntityFacts } = {}) => {
+    const context = {
+        lowerDesc: candidate.description.toLowerCase(),
+        lowerTitle: candidate.title.toLowerCase(),
+        countryCode: countryCode,
+        lang: lang,
+    };
+
+    // --- Content Relevance to Query (Crucial check) ---
+    const isContentRelevantToQuery =
+        (context.lowerDesc.includes(originalName.toLowerCase()) || context.lowerTitle.includes(originalName.toLowerCase())) ||
+        (context.lowerDesc.includes(lookupName.toLowerCase()) || context.lowerTitle.includes(lookupName.toLowerCase()));
+    const checks = { contentRelevantToQuery: isContentRelevantToQuery };
+
+    let decision;
+    if (!isContentRelevantToQuery) {
+        decision = { accepted: false, rule: 'name-mismatch', source: 'query' };
+    } else if (!candidate.wikidataId) {
+        checks.fallbackReason = 'no-wikidata-item';
+        decision = classifyByKeywords(context, checks);
+    } else {
+        let facts = null;
+        try {
+            facts = await fetchFacts(candidate.wikidataId);
+            if (!facts) {
+                checks.fallbackReason = 'wikidata-item-missing';
+            }
+        } catch (error) {
+            logger.warn(`Wikidata lookup for ${candidate.wikidataId} failed, using keyword heuristic`, { error: error.message });
+            checks.fallbackReason = 'wikidata-unavailable';
+        }
+
+        if (facts) {
+            try {
+                decision = await classifyByWikidata(facts, context, checks, fetchFacts);
+            } catch (error) {
+                logger.warn(`Wikidata class lookup for ${candidate.wikidataId} failed, using keyword heuristic`, { error: error.message });
+                checks.fallbackReason = 'wikidata-unavailable';
+            }
+        }
+        if (!decision) {
+            decision = classifyByKeywords(context, checks);
+        }
+    }
+
+    return {
+        ...decision,
+        query: query,
+        title: candidate.title,
+        language: lang,
+        checks: checks,
+    };
+};
+
+module.exports = {
+    classifyCandidate,
+    SETTLEMENT_TYPES,
+};
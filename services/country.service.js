@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const COUNTRIES_CONFIG_PATH = process.env.COUNTRIES_CONFIG_PATH || path.join(__dirname, '..', 'config', 'countries.json');
+
+/**
+ * Loads and validates the country registry.
+ * Each entry: { code, name, nativeNames, demonyms, wikipediaLanguage, wikidataId, localizedNames }.
+ * `localizedNames` maps a Wikipedia language to the words that name the country in that language.
+ * @param {string} filePath - JSON file holding an array of countries.
+ * @returns {Map<string, object>} - Countries by upper-case ISO 3166-1 alpha-2 code, in file order.
+ * @throws {Error} - If the file is unreadable or an entry is malformed.
+ */
+const loadRegistry = (filePath) => {
+    const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(entries)) {
+        throw new Error(`Country registry ${filePath} must contain an array.`);
+    }
+
+    const registry = new Map();
+    for (const entry of entries) {
+        if (!entry || typeof entry.code !== 'string' || !/^[A-Za-z]{2}$/.test(entry.code) || typeof entry.name !== 'string') {
+            throw new Error(`Invalid country entry in ${filePath}: ${JSON.stringify(entry)}`);
+        }
+        const code = entry.code.toUpperCase();
+        registry.set(code, {
+            code: code,
+            name: entry.name,
+            nativeNames: entry.nativeNames || [],
+            demonyms: entry.demonyms || [],
+            wikipediaLanguage: entry.wikipediaLanguage || 'en',
+            wikidataId: entry.wikidataId || null,
+            localizedNames: entry.localizedNames || {},
+            upstreamSupported: null, // Unknown until discovery runs
+        });
+    }
+    return registry;
+};
+
+const registry = loadRegistry(COUNTRIES_CONFIG_PATH);
+
+/**
+ * @returns {Array<object>} - Every configured country.
+ */
+const getCountries = () => Array.from(registry.values());
+
+/**
+ * @param {string} code - Country code, any case.
+ * @returns {object|null} - The country, or null if it is not configured.
+ */
+const getCountry = (code) => (typeof code === 'string' && registry.get(code.trim().toUpperCase())) || null;
+
+/**
+ * A country is supported when it is configured and discovery has not found the upstream API to reject it.
+ * @param {string} code
+ * @returns {boolean}
+ */
+const isSupported = (code) => {
+    const country = getCountry(code);
+    return Boolean(country) && country.upstreamSupported !== false;
+};
+
+/**
+ * @returns {Array<string>} - Codes of all supported countries.
+ */
+const getSupportedCodes = () => getCountries().filter(country => country.upstreamSupported !== false).map(country => country.code);
+
+/**
+ * Records whether the upstream pollution API serves a configured country (set by discovery).
+ * @param {string} code
+ * @param {boolean} supported
+ */
+const setUpstreamSupport = (code, supported) => {
+    const country = getCountry(code);
+    if (country) {
+        country.upstreamSupported = supported;
+    }
+};
+
+/**
+ * Terms that identify the country in free text: its English and native names and demonyms,
+ * plus the names used in the given Wikipedia language.
+ * @param {string} code
+ * @param {string} [lang] - Language of the text being checked.
+ * @returns {Array<string>}
+ */
+const getCountryTerms = (code, lang) => {
+    const country = getCountry(code);
+    if (!country) {
+        return [];
+    }
+    return [country.name, ...country.nativeNames, ...country.demonyms, ...((lang && country.localizedNames[lang]) || [])];
+};
+
+/**
+ * Languages descriptions can be requested in: English plus every country's Wikipedia language.
+ * @returns {Array<string>}
+ */
+const getSupportedLanguages = () => Array.from(new Set(['en', ...getCountries().map(country => country.wikipediaLanguage)]));
+
+/**
+ * Builds the 400 message for an unknown or unsupported country code.
+ * @param {string} code
+ * @returns {string}
+ */
+const describeUnsupported = (code) =>
+    `Unsupported country "${code}". Supported countries: ${getSupportedCodes().join(', ')}. See GET /countries for details.`;
+
+module.exports = {
+    loadRegistry,
+    getCountries,
+    getCountry,
+    isSupported,
+    getSupportedCodes,
+    setUpstreamSupport,
+    getCountryTerms,
+    getSupportedLanguages,
+    describeUnsupported,
+};
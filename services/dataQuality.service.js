@@ -0,0 +1,78 @@
+// Pipeline stages at which an upstream entry can be excluded from the dataset.
+const STAGES = {
+    VALIDATION: 'validation',
+    NAME_CLEANING: 'name-cleaning',
+    DEDUPLICATION: 'deduplication',
+    NO_WIKIPEDIA_HIT: 'no-wikipedia-hit',
+    RELEVANCE_FILTER: 'relevance-filter',
+    WIKIPEDIA_UNAVAILABLE: 'wikipedia-unavailable',
+    ADMIN_OVERRIDE: 'admin-override',
+};
+
+/**
+ * Creates a record describing why an upstream entry was excluded.
+ * @param {object} raw - The raw entry from the pollution API.
+ * @param {string} stage - One of STAGES.
+ * @param {Array<string|object>} failedChecks - Check names, or classification decisions for Wikipedia stages.
+ * @param {string} reason - Human-readable explanation.
+ * @returns {object} - Rejection record.
+ */
+const createRejection = (raw, stage, failedChecks, reason) => ({
+    name: raw && typeof raw.name === 'string' ? raw.name : null,
+    country: raw && typeof raw.country === 'string' ? raw.country.toUpperCase() : null,
+    stage: stage,
+    reason: reason,
+    failedChecks: failedChecks,
+    raw: raw,
+});
+
+/**
+ * The reason key a rejection is counted under: the first failed check, or the rule of the last
+ * classification decision for the Wikipedia stages.
+ * @param {object} rejection
+ * @returns {string}
+ */
+const reasonKey = (rejection) => {
+    const lastCheck = rejection.failedChecks[rejection.failedChecks.length - 1];
+    const detail = typeof rejection.failedChecks[0] === 'string'
+        ? rejection.failedChecks[0]
+        : lastCheck && lastCheck.rule;
+    return detail ? `${rejection.stage}:${detail}` : rejection.stage;
+};
+
+const increment = (counts, key) => {
+    counts[key] = (counts[key] || 0) + 1;
+};
+
+/**
+ * Summarises rejections overall and per country, by stage and by reason.
+ * @param {Array<object>} rejections
+ * @returns {object} - { total, byStage, byReason, byCountry: { [code]: { total, byStage, byReason } } }
+ */
+const summarizeRejections = (rejections) => {
+    const summary = { total: 0, byStage: {}, byReason: {}, byCountry: {} };
+
+    for (const rejection of rejections) {
+        const country = rejection.country || 'UNKNOWN';
+        const key = reasonKey(rejection);
+        if (!summary.byCountry[country]) {
+            summary.byCountry[country] = { total: 0, byStage: {}, byReason: {} };
+        }
+        const countrySummary = summary.byCountry[country];
+
+        summary.total++;
+        countrySummary.total++;
+        increment(summary.byStage, rejection.stage);
+        increment(countrySummary.byStage, rejection.stage);
+        increment(summary.byReason, key);
+        increment(countrySummary.byReason, key);
+    }
+
+    return summary;
+};
+
+module.exports = {
+    STAGES,
+    createRejection,
+    summarizeRejections,
+};
@@ -0,0 +1,149 @@
+const { selectFields } = require('./cityQuery.service');
+
+// Formats `/cities` can be exported in, by `format=` value.
+const FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    csv: { contentType: 'text/csv', extension: 'csv' },
+    geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+};
+
+// CSV columns when no `fields=` selection is given; `coordinates` is split into latitude and longitude.
+const DEFAULT_CSV_FIELDS = [
+    'name', 'country', 'pollution', 'aqi', 'aqiScale', 'category', 'categoryLabel',
+    'coordinates', 'wikipediaTitle', 'language', 'description',
+];
+
+/**
+ * @param {string} contentType - e.g. 'text/csv'.
+ * @returns {string|null} - The format id for a content type, or null.
+ */
+const getFormatForContentType = (contentType) =>
+    Object.keys(FORMATS).find(format => FORMATS[format].contentType === contentType) || null;
+
+/**
+ * Escapes one CSV cell (RFC 4180). Text starting with a formula character is prefixed with `'`
+ * so spreadsheets do not evaluate it.
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Yields the CSV header and one line per city.
+ * @param {Array<object>} cities
+ * @param {Array<string>|null} fields - Selected fields, or null for DEFAULT_CSV_FIELDS.
+ */
+function* csvChunks(cities, fields) {
+    const columns = (fields || DEFAULT_CSV_FIELDS).flatMap(field => field === 'coordinates' ? ['latitude', 'longitude'] : [field]);
+    yield '\uFEFF'; // Byte order mark, so spreadsheets read the file as UTF-8
+    yield `${columns.join(',')}\r\n`;
+    for (const city of cities) {
+        const row = { ...city, latitude: city.coordinates && city.coordinates.lat, longitude: city.coordinates && city.coordinates.lon };
+        yield `${columns.map(column => toCsvCell(row[column])).join(',')}\r\n`;
+    }
+}
+
+/**
+ * Yields one JSON document per line.
+ */
+function* ndjsonChunks(cities, fields) {
+    for (const city of cities) {
+        yield `${JSON.stringify(selectFields(city, fields))}\n`;
+    }
+}
+
+/**
+ * Yields a GeoJSON FeatureCollection, one feature per chunk. Cities whose coordinates could not be
+ * resolved are kept as features with a `null` geometry (allowed by RFC 7946) and counted in
+ * `citiesWithoutCoordinates`, so GIS tools can list or skip them deliberately.
+ * @param {Array<object>} cities
+ * @param {Array<string>|null} fields - Selected properties.
+ * @param {object} meta - Foreign members for the collection (generatedAt, scale, degraded, warnings).
+ */
+function* geojsonChunks(cities, fields, meta) {
+    const withoutCoordinates = cities.filter(city => !city.coordinates).length;
+    const header = JSON.stringify({ type: 'FeatureCollection', ...meta, total: cities.length, citiesWithoutCoordinates: withoutCoordinates });
+    yield `${header.slice(0, -1)},"features":[\n`;
+    let first = true;
+    for (const city of cities) {
+        const { coordinates, ...properties } = selectFields(city, fields);
+        const feature = {
+            type: 'Feature',
+            geometry: city.coordinates ? { type: 'Point', coordinates: [city.coordinates.lon, city.coordinates.lat] } : null,
+            properties: properties,
+        };
+        yield `${first ? '' : ',\n'}${JSON.stringify(feature)}`;
+        first = false;
+    }
+    yield '\n]}\n';
+}
+
+/**
+ * Waits until the response can take more data, or the client has gone away.
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (res) => new Promise(resolve => {
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+/**
+ * Streams cities in an export format, honouring backpressure so large datasets are never held twice in memory.
+ * Headers (Content-Type, Content-Disposition) must be set by the caller.
+ * @param {object} res - Express response.
+ * @param {string} format - 'csv', 'geojson' or 'ndjson'.
+ * @param {Array<object>} cities - Filtered, sorted and rated cities.
+ * @param {object} options
+ * @param {Array<string>|null} options.fields - Field selection.
+ * @param {object} options.meta - Collection metadata (GeoJSON only).
+ * @returns {Promise<void>}
+ */
+const streamExport = async (res, format, cities, { fields, meta }) => {
+    const chunks = format === 'csv' ? csvChunks(cities, fields)
+        : format === 'geojson' ? geojsonChunks(cities, fields, meta)
+            : ndjsonChunks(cities, fields);
+
+    for (const chunk of chunks) {
+        if (res.destroyed) {
+            return;
+        }
+        if (!res.write(chunk)) {
+            await waitForDrain(res);
+        }
+    }
+    res.end();
+};
+
+/**
+ * Builds the download filename, e.g. `polluted-cities-PL-DE-2024-05-01.csv`.
+ * @param {Array<string>} countries - Requested country codes; empty for all.
+ * @param {string} generatedAt - ISO timestamp of the dataset.
+ * @param {string} format
+ * @returns {string}
+ */
+const getExportFilename = (countries, generatedAt, format) => {
+    const scope = countries.length > 0 ? countries.map(code => code.toUpperCase()).join('-') : 'all';
+    return `polluted-cities-${scope}-${String(generatedAt).slice(0, 10)}.${FORMATS[format].extension}`;
+};
+
+module.exports = {
+    FORMATS,
+    getFormatForContentType,
+    streamExport,
+    getExportFilename,
+};
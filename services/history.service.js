@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { foldName, cleanCityName } = require('../utils/text');
+const logger = require('../utils/logger');
+
+dotenv.config();
+
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(__dirname, '..', 'data', 'history');
+const HISTORY_MIN_SPACING_SECONDS = parseInt(process.env.HISTORY_MIN_SPACING_SECONDS, 10) || 300; // Readings of one city closer together are skipped
+const HISTORY_RETENTION_DAYS = process.env.HISTORY_RETENTION_DAYS !== undefined
+    ? parseInt(process.env.HISTORY_RETENTION_DAYS, 10)
+    : 365; // 0 keeps readings forever
+const HISTORY_DOWNSAMPLE_AFTER_DAYS = process.env.HISTORY_DOWNSAMPLE_AFTER_DAYS !== undefined
+    ? parseInt(process.env.HISTORY_DOWNSAMPLE_AFTER_DAYS, 10)
+    : 30; // 0 never downsamples
+const HISTORY_DOWNSAMPLE_INTERVAL = process.env.HISTORY_DOWNSAMPLE_INTERVAL || 'day'; // 'hour', 'day' or 'week'
+const HISTORY_TREND_THRESHOLD_PERCENT = parseFloat(process.env.HISTORY_TREND_THRESHOLD_PERCENT) || 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_OFFSET_MS = 4 * DAY_MS; // The epoch was a Thursday; weeks start on Monday
+
+// Bucket sizes for time series; 'raw' returns every stored reading.
+const INTERVALS = ['raw', 'hour', 'day', 'week'];
+
+const lastRecordedAt = new Map(); // `${country}|${key}` -> epoch ms of the last stored reading
+const fileQueues = new Map(); // file path -> Promise of the last queued operation
+
+const historyFile = (country) => path.join(HISTORY_DIR, `${country.toUpperCase()}.ndjson`);
+
+/**
+ * The key a city's readings are stored and looked up under: the cleaned, folded name, so "Warsaw (Zone)"
+ * as upstream reports it and "warsaw" from a URL find the same history.
+ * @param {string} name
+ * @returns {string}
+ */
+const cityKey = (name) => foldName(cleanCityName(name));
+
+/**
+ * Runs file operations for one country one after the other, so appends never interleave with compaction.
+ * @param {string} filePath
+ * @param {function(): Promise<*>} operation
+ * @returns {Promise<*>}
+ */
+const enqueue = (filePath, operation) => {
+    const previous = fileQueues.get(filePath) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+    fileQueues.set(filePath, next);
+    return next;
+};
+
+/**
+ * Reads every stored record for a country. Lines that cannot be parsed are skipped.
+ * @param {string} country
+ * @returns {Promise<Array<object>>} - Records { t, name, key, pollution[, min, max, count] }.
+ */
+const readRecords = async (country) => {
+    let content;
+    try {
+        content = await fs.promises.readFile(historyFile(country), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const records = [];
+    for (const line of content.split('\n')) {
+        if (line.trim() === '') {
+            continue;
+        }
+        try {
+            const record = JSON.parse(line);
+            // Recomputed rather than trusted, so lines written under an older keying rule still match.
+            records.push({ ...record, key: cityKey(record.name) });
+        } catch (error) {
+            logger.warn(`Skipping unreadable history line in ${historyFile(country)}.`);
+        }
+    }
+    return records;
+};
+
+/**
+ * Appends the readings of a freshly built dataset to the per-country history files.
+ * A city is recorded at most once per HISTORY_MIN_SPACING_SECONDS, so overlapping dataset
+ * builds (default, per-country, per-language) don't store the same reading several times.
+ * @param {Array<object>} cities - Dataset cities ({ name, country, pollution }).
+ * @param {string} generatedAt - ISO timestamp of the readings.
+ * @returns {Promise<number>} - Number of readings stored.
+ */
+const recordReadings = async (cities, generatedAt) => {
+    const timestamp = Date.parse(generatedAt) || Date.now();
+    const linesByCountry = new Map();
+
+    for (const city of cities) {
+        const country = city.country.toUpperCase();
+        const key = cityKey(city.name);
+        const spacingKey = `${country}|${key}`;
+        if (timestamp - (lastRecordedAt.get(spacingKey) || 0) < HISTORY_MIN_SPACING_SECONDS * 1000) {
+            continue;
+        }
+        lastRecordedAt.set(spacingKey, timestamp);
+        if (!linesByCountry.has(country)) {
+            linesByCountry.set(country, []);
+        }
+        linesByCountry.get(country).push(JSON.stringify({ t: timestamp, name: city.name, key: key, pollution: city.pollution }));
+    }
+
+    let stored = 0;
+    await Promise.all(Array.from(linesByCountry.entries()).map(([country, lines]) => {
+        const filePath = historyFile(country);
+        return enqueue(filePath, async () => {
+            await fs.promises.mkdir(HISTORY_DIR, { recursive: true });
+            await fs.promises.appendFile(filePath, lines.join('\n') + '\n');
+            stored += lines.length;
+        });
+    }));
+    return stored;
+};
+
+/**
+ * Start of the bucket a timestamp falls into (UTC).
+ * @param {number} timestamp - Epoch ms.
+ * @param {string} interval - 'hour', 'day' or 'week'.
+ * @returns {number} - Epoch ms.
+ */
+const bucketStart = (timestamp, interval) => {
+    switch (interval) {
+        case 'hour':
+            return Math.floor(timestamp / HOUR_MS) * HOUR_MS;
+        case 'day':
+            return Math.floor(timestamp / DAY_MS) * DAY_MS;
+        case 'week':
+            return Math.floor((timestamp - WEEK_OFFSET_MS) / (7 * DAY_MS)) * 7 * DAY_MS + WEEK_OFFSET_MS;
+        default:
+            throw new Error(`Unknown history interval "${interval}".`);
+    }
+};
+
+/**
+ * Merges records (raw readings or already downsampled ones) into one, weighting averages by count.
+ * @param {Array<object>} records
+ * @returns {object} - { avg, min, max, count }
+ */
+const aggregate = (records) => {
+    let sum = 0;
+    let count = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    for (const record of records) {
+        const weight = record.count || 1;
+        sum += record.pollution * weight;
+        count += weight;
+        min = Math.min(min, record.min !== undefined ? record.min : record.pollution);
+        max = Math.max(max, record.max !== undefined ? record.max : record.pollution);
+    }
+    return { avg: count > 0 ? sum / count : null, min, max, count };
+};
+
+/**
+ * Groups records into time buckets.
+ * @param {Array<object>} records - Sorted by time.
+ * @param {string} interval - One of INTERVALS.
+ * @returns {Array<object>} - Points { t, avg, min, max, count }.
+ */
+const toSeries = (records, interval) => {
+    if (interval === 'raw') {
+        return records.map(record => ({ t: record.t, ...aggregate([record]) }));
+    }
+    const buckets = new Map();
+    for (const record of records) {
+        const start = bucketStart(record.t, interval);
+        if (!buckets.has(start)) {
+            buckets.set(start, []);
+        }
+        buckets.get(start).push(record);
+    }
+    return Array.from(buckets.entries()).map(([start, bucket]) => ({ t: start, ...aggregate(bucket) }));
+};
+
+/**
+ * Least-squares slope of the series, expressed as the change over the whole period relative to its mean.
+ * Rising pollution is 'worsening', falling pollution 'improving'; changes below
+ * HISTORY_TREND_THRESHOLD_PERCENT count as 'stable'.
+ * @param {Array<object>} points - Series points.
+ * @returns {object} - { direction, slopePerDay, changePercent }
+ */
+const computeTrend = (points) => {
+    if (points.length < 2 || points[points.length - 1].t === points[0].t) {
+        return { direction: 'insufficient-data', slopePerDay: null, changePercent: null };
+    }
+
+    const xs = points.map(point => (point.t - points[0].t) / DAY_MS);
+    const ys = points.map(point => point.avg);
+    const meanX = xs.reduce((total, x) => total + x, 0) / xs.length;
+    const meanY = ys.reduce((total, y) => total + y, 0) / ys.length;
+    let covariance = 0;
+    let variance = 0;
+    xs.forEach((x, index) => {
+        covariance += (x - meanX) * (ys[index] - meanY);
+        variance += (x - meanX) ** 2;
+    });
+
+    const slopePerDay = covariance / variance;
+    const change = slopePerDay * xs[xs.length - 1];
+    const changePercent = meanY !== 0 ? (change / meanY) * 100 : 0;
+    let direction = 'stable';
+    if (Math.abs(changePercent) >= HISTORY_TREND_THRESHOLD_PERCENT) {
+        direction = changePercent > 0 ? 'worsening' : 'improving';
+    }
+
+    return {
+        direction: direction,
+        slopePerDay: Math.round(slopePerDay * 1000) / 1000,
+        changePercent: Math.round(changePercent * 10) / 10,
+    };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Returns the stored readings of one city as a time series with summary statistics and a trend.
+ * @param {string} country - Country code.
+ * @param {string} name - City name; matched like `cityKey`, so case, diacritics and descriptors in parentheses do not matter.
+ * @param {object} options
+ * @param {number} options.from - Start of the range (epoch ms, inclusive).
+ * @param {number} options.to - End of the range (epoch ms, inclusive).
+ * @param {string} options.interval - One of INTERVALS.
+ * @returns {Promise<object|null>} - { name, country, from, to, interval, points, stats, trend },
+ *   or null if nothing was ever recorded for the city.
+ */
+const getCityHistory = async (country, name, { from, to, interval }) => {
+    const key = cityKey(name);
+    const cityRecords = (await readRecords(country)).filter(record => record.key === key);
+    if (cityRecords.length === 0) {
+        return null;
+    }
+
+    const inRange = cityRecords
+        .filter(record => record.t >= from && record.t <= to)
+        .sort((a, b) => a.t - b.t);
+    const points = toSeries(inRange, interval);
+    const overall = aggregate(inRange);
+
+    return {
+        name: cityRecords[cityRecords.length - 1].name,
+        country: country.toUpperCase(),
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        interval: interval,
+        points: points.map(point => ({
+            t: new Date(point.t).toISOString(),
+            avg: round(point.avg),
+            min: point.min,
+            max: point.max,
+            count: point.count,
+        })),
+        stats: overall.count > 0
+            ? { min: overall.min, max: overall.max, avg: round(overall.avg), readings: overall.count }
+            : { min: null, max: null, avg: null, readings: 0 },
+        trend: computeTrend(points),
+    };
+};
+
+/**
+ * Applies retention and downsampling to one country's history file: readings older than
+ * HISTORY_RETENTION_DAYS are dropped, and readings older than HISTORY_DOWNSAMPLE_AFTER_DAYS are
+ * merged into one record per city and HISTORY_DOWNSAMPLE_INTERVAL. The file is rewritten atomically.
+ * @param {string} country
+ * @returns {Promise<object>} - { before, after }
+ */
+const compactCountryHistory = (country) => {
+    const filePath = historyFile(country);
+    return enqueue(filePath, async () => {
+        const records = await readRecords(country);
+        const now = Date.now();
+        const retainFrom = HISTORY_RETENTION_DAYS > 0 ? now - HISTORY_RETENTION_DAYS * DAY_MS : -Infinity;
+        const downsampleBefore = HISTORY_DOWNSAMPLE_AFTER_DAYS > 0
+            ? bucketStart(now - HISTORY_DOWNSAMPLE_AFTER_DAYS * DAY_MS, HISTORY_DOWNSAMPLE_INTERVAL)
+            : -Infinity;
+
+        const recent = [];
+        const oldByBucket = new Map();
+        for (const record of records) {
+            if (record.t < retainFrom) {
+                continue;
+            }
+            if (record.t >= downsampleBefore) {
+                recent.push(record);
+                continue;
+            }
+            const bucketKey = `${record.key}|${bucketStart(record.t, HISTORY_DOWNSAMPLE_INTERVAL)}`;
+            if (!oldByBucket.has(bucketKey)) {
+                oldByBucket.set(bucketKey, []);
+            }
+            oldByBucket.get(bucketKey).push(record);
+        }
+
+        const downsampled = Array.from(oldByBucket.values()).map(bucket => {
+            const { avg, min, max, count } = aggregate(bucket);
+            const latest = bucket[bucket.length - 1];
+            return { t: bucketStart(latest.t, HISTORY_DOWNSAMPLE_INTERVAL), name: latest.name, key: latest.key, pollution: round(avg), min, max, count };
+        });
+        const compacted = downsampled.concat(recent).sort((a, b) => a.t - b.t);
+
+        if (compacted.length !== records.length) {
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, compacted.map(record => JSON.stringify(record)).join('\n') + (compacted.length > 0 ? '\n' : ''));
+            await fs.promises.rename(tempPath, filePath);
+        }
+        return { before: records.length, after: compacted.length };
+    });
+};
+
+/**
+ * Compacts the history of every country that has a history file.
+ * @returns {Promise<void>}
+ */
+const compactHistory = async () => {
+    let files;
+    try {
+        files = await fs.promises.readdir(HISTORY_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return;
+        }
+        throw error;
+    }
+    for (const file of files.filter(candidate => candidate.endsWith('.ndjson'))) {
+        const country = path.basename(file, '.ndjson');
+        const { before, after } = await compactCountryHistory(country);
+        if (before !== after) {
+            logger.info(`Compacted ${country} history from ${before} to ${after} records.`);
+        }
+    }
+};
+
+module.exports = {
+    INTERVALS,
+    recordReadings,
+    getCityHistory,
+    compactHistory,
+};
@@ -0,0 +1,62 @@
+const citiesService = require('./cities.service');
+const countryService = require('./country.service');
+const historyService = require('./history.service');
+const logger = require('../utils/logger');
+
+const HISTORY_COLLECT_INTERVAL_SECONDS = process.env.HISTORY_COLLECT_INTERVAL_SECONDS !== undefined
+    ? parseInt(process.env.HISTORY_COLLECT_INTERVAL_SECONDS, 10)
+    : 3600; // Snapshot every country once an hour
+
+let timer = null;
+let running = false;
+
+/**
+ * Takes a snapshot of every supported country by rebuilding its dataset (which records the readings),
+ * then applies history retention and downsampling. Countries are collected one after the other.
+ */
+const collectHistory = async () => {
+    if (running) {
+        logger.warn('Previous history collection still in progress; skipping this one.');
+        return;
+    }
+    running = true;
+    try {
+        for (const country of countryService.getSupportedCodes()) {
+            try {
+                await citiesService.refreshCitiesDataset(country);
+            } catch (error) {
+                logger.error(`Collecting history for ${country} failed`, { error: error.message });
+            }
+        }
+        await historyService.compactHistory();
+        logger.info('Collected pollution history snapshot.');
+    } catch (error) {
+        logger.error('History compaction failed', { error: error.message });
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Starts collecting immediately and then every HISTORY_COLLECT_INTERVAL_SECONDS (0 disables it).
+ */
+const startHistoryCollector = () => {
+    if (timer || !(HISTORY_COLLECT_INTERVAL_SECONDS > 0)) {
+        return;
+    }
+    collectHistory();
+    timer = setInterval(collectHistory, HISTORY_COLLECT_INTERVAL_SECONDS * 1000);
+    timer.unref();
+    logger.info(`Collecting pollution history every ${HISTORY_COLLECT_INTERVAL_SECONDS} seconds.`);
+};
+
+const stopHistoryCollector = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    collectHistory,
+    startHistoryCollector,
+    stopHistoryCollector,
+};
@@ -0,0 +1,140 @@
+const citiesService = require('./cities.service');
+const countryService = require('./country.service');
+const wikipediaService = require('./wikipedia.service');
+const logger = require('../utils/logger');
+
+const LIVE_EVENT_BUFFER_SIZE = parseInt(process.env.LIVE_EVENT_BUFFER_SIZE, 10) || 1000; // Events kept for Last-Event-ID resume
+
+const cityState = new Map(); // `${country}|${name}` -> latest known city
+const recentEvents = []; // Newest last, at most LIVE_EVENT_BUFFER_SIZE
+const listeners = new Set();
+let lastEventId = 0;
+let seeding = null;
+
+const cityKey = (city) => `${city.country.toUpperCase()}|${city.name}`;
+
+/**
+ * Stores an event for resume and hands it to every connected listener.
+ * @param {string} type - 'city.added', 'city.removed' or 'city.changed'.
+ * @param {object} city - The city the event is about.
+ * @param {object} [extra] - Additional event fields.
+ */
+const publish = (type, city, extra = {}) => {
+    const event = { id: ++lastEventId, type: type, country: city.country, city: city, at: new Date().toISOString(), ...extra };
+    recentEvents.push(event);
+    if (recentEvents.length > LIVE_EVENT_BUFFER_SIZE) {
+        recentEvents.shift();
+    }
+    listeners.forEach(listener => listener(event));
+};
+
+/**
+ * Compares a rebuilt dataset with the known state and publishes the differences.
+ * Only English datasets are followed, so a city is never reported twice for two languages.
+ * Removals are trusted only from complete datasets: a degraded build may be missing cities
+ * merely because a source failed.
+ * @param {object} refresh - { country, lang, dataset } from `citiesService.datasetEvents`.
+ * @param {object} [options]
+ * @param {boolean} [options.silent=false] - Update the state without publishing (initial seed).
+ */
+const applyDataset = ({ country, lang, dataset }, { silent = false } = {}) => {
+    if (lang !== wikipediaService.DEFAULT_LANGUAGE) {
+        return;
+    }
+    const incoming = new Map(dataset.cities.map(city => [cityKey(city), city]));
+
+    for (const [key, city] of incoming) {
+        const previous = cityState.get(key);
+        cityState.set(key, city);
+        if (silent) {
+            continue;
+        }
+        if (!previous) {
+            publish('city.added', city);
+        } else if (previous.pollution !== city.pollution) {
+            publish('city.changed', city, { previousPollution: previous.pollution });
+        }
+    }
+
+    if (!dataset.degraded) {
+        const covered = country ? [country] : countryService.getSupportedCodes();
+        for (const [key, city] of cityState) {
+            if (covered.includes(city.country.toUpperCase()) && !incoming.has(key)) {
+                cityState.delete(key);
+                if (!silent) {
+                    publish('city.removed', city);
+                }
+            }
+        }
+    }
+};
+
+citiesService.datasetEvents.on('refreshed', (refresh) => applyDataset(refresh));
+
+/**
+ * Loads the current dataset into the state once, so the first client gets a full snapshot
+ * even if no refresh has happened since start-up.
+ * @returns {Promise<void>}
+ * @throws {Error} - If the dataset cannot be loaded; the next call tries again.
+ */
+const ensureSeeded = () => {
+    if (!seeding) {
+        seeding = citiesService.getCitiesDataset()
+            .then(({ dataset }) => {
+                if (cityState.size === 0) {
+                    applyDataset({ country: null, lang: wikipediaService.DEFAULT_LANGUAGE, dataset }, { silent: true });
+                }
+            })
+            .catch(error => {
+                seeding = null; // Retry with the next client
+                logger.error('Could not load the initial dataset for live updates', { error: error.message });
+                throw error;
+            });
+    }
+    return seeding;
+};
+
+/**
+ * Connects a client. It first receives either the events it missed (when `lastEventId` is still in the
+ * buffer) or a full `snapshot`, then every change as it happens.
+ * @param {object} options
+ * @param {Array<string>} options.countries - Country codes to follow; empty for all.
+ * @param {number|null} options.lastEventId - ID of the last event the client has seen, for resume.
+ * @param {function(object): void} send - Receives each event.
+ * @returns {Promise<function(): void>} - Disconnects the client.
+ * @throws {Error} - If the initial dataset cannot be loaded, rather than sending an empty snapshot.
+ */
+const subscribe = async ({ countries, lastEventId: resumeFrom }, send) => {
+    await ensureSeeded();
+
+    const wanted = countries.map(code => code.toUpperCase());
+    const matches = (event) => wanted.length === 0 || wanted.includes(event.country.toUpperCase());
+    const oldestBuffered = recentEvents.length > 0 ? recentEvents[0].id : lastEventId + 1;
+
+    if (resumeFrom !== null && resumeFrom >= oldestBuffered - 1 && resumeFrom <= lastEventId) {
+        recentEvents.filter(event => event.id > resumeFrom && matches(event)).forEach(send);
+    } else {
+        const cities = Array.from(cityState.values())
+            .filter(city => wanted.length === 0 || wanted.includes(city.country.toUpperCase()))
+            .sort(citiesService.compareCities);
+        send({ id: lastEventId, type: 'snapshot', at: new Date().toISOString(), total: cities.length, cities: cities });
+    }
+
+    const listener = (event) => {
+        if (matches(event)) {
+            send(event);
+        }
+    };
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * @returns {number} - ID of the newest event (sent with heartbeats).
+ */
+const getLastEventId = () => lastEventId;
+
+module.exports = {
+    subscribe,
+    getLastEventId,
+};
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const countryService = require('./country.service');
+const wikipediaService = require('./wikipedia.service');
+const { foldName } = require('../utils/text');
+const logger = require('../utils/logger');
+
+dotenv.config();
+
+const OVERRIDES_FILE = process.env.OVERRIDES_FILE || path.join(__dirname, '..', 'data', 'overrides.json');
+const OVERRIDES_AUDIT_LOG = process.env.OVERRIDES_AUDIT_LOG || path.join(__dirname, '..', 'data', 'overrides-audit.ndjson');
+
+// What an override can do with an upstream city besides pinning a page or replacing the description.
+const ACTIONS = ['include', 'exclude'];
+
+/**
+ * Error for an override that cannot be accepted; `field` names the offending property.
+ */
+class OverrideValidationError extends Error {
+    constructor(field, message) {
+        super(`Invalid "${field}": ${message}`);
+        this.name = 'OverrideValidationError';
+        this.field = field;
+    }
+}
+
+const overrideKey = (country, name) => `${country.toUpperCase()}|${foldName(name)}`;
+
+/**
+ * Loads persisted overrides and aliases; a missing file means none yet.
+ * @returns {object} - { cities: Array, aliases: Array }
+ */
+const loadStore = () => {
+    try {
+        const persisted = JSON.parse(fs.readFileSync(OVERRIDES_FILE, 'utf8'));
+        const loaded = {
+            cities: Array.isArray(persisted.cities) ? persisted.cities : [],
+            aliases: Array.isArray(persisted.aliases) ? persisted.aliases : [],
+        };
+        logger.info(`Loaded ${loaded.cities.length} city override(s) and ${loaded.aliases.length} alias(es) from ${OVERRIDES_FILE}.`);
+        return loaded;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Could not load overrides from ${OVERRIDES_FILE}, starting empty`, { error: error.message });
+        }
+        return { cities: [], aliases: [] };
+    }
+};
+
+const store = loadStore();
+
+/**
+ * Writes the store to disk atomically (temp file + rename).
+ */
+const persist = () => {
+    try {
+        fs.mkdirSync(path.dirname(OVERRIDES_FILE), { recursive: true });
+        const tempPath = `${OVERRIDES_FILE}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(store, null, 2));
+        fs.renameSync(tempPath, OVERRIDES_FILE);
+    } catch (error) {
+        logger.error(`Failed to persist overrides to ${OVERRIDES_FILE}`, { error: error.message });
+    }
+};
+
+/**
+ * Appends one change to the audit log (NDJSON, append-only).
+ * @param {object} entry - { action, actor, country, name, before, after }
+ */
+const audit = (entry) => {
+    try {
+        fs.mkdirSync(path.dirname(OVERRIDES_AUDIT_LOG), { recursive: true });
+        fs.appendFileSync(OVERRIDES_AUDIT_LOG, `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`);
+    } catch (error) {
+        logger.error(`Failed to write the override audit log ${OVERRIDES_AUDIT_LOG}`, { error: error.message });
+    }
+};
+
+const validateCountry = (country) => {
+    if (!countryService.isSupported(country)) {
+        throw new OverrideValidationError('country', countryService.describeUnsupported(country));
+    }
+    return country.trim().toUpperCase();
+};
+
+const validateOptionalText = (input, field) => {
+    const value = input[field];
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new OverrideValidationError(field, 'must be a non-empty string, or omitted.');
+    }
+    return value.trim();
+};
+
+/**
+ * Validates the body of a city override.
+ * @param {object} input - { action?, wikipediaTitle?, language?, description?, note? }
+ * @returns {object} - Normalised fields.
+ * @throws {OverrideValidationError}
+ */
+const validateCityOverride = (input) => {
+    const body = input || {};
+    const action = body.action === undefined || body.action === null ? null : body.action;
+    if (action !== null && !ACTIONS.includes(action)) {
+        throw new OverrideValidationError('action', `must be one of ${ACTIONS.join(', ')}, or omitted.`);
+    }
+    const wikipediaTitle = validateOptionalText(body, 'wikipediaTitle');
+    const description = validateOptionalText(body, 'description');
+    const note = validateOptionalText(body, 'note');
+
+    const supportedLanguages = countryService.getSupportedLanguages();
+    const language = body.language === undefined ? wikipediaService.DEFAULT_LANGUAGE : body.language;
+    if (!supportedLanguages.includes(language)) {
+        throw new OverrideValidationError('language', `must be one of ${supportedLanguages.join(', ')}.`);
+    }
+
+    if (action === null && !wikipediaTitle && !description) {
+        throw new OverrideValidationError('action', 'an override needs an action, a wikipediaTitle or a description.');
+    }
+    if (action === 'exclude' && (wikipediaTitle || description)) {
+        throw new OverrideValidationError('action', 'an excluded city cannot also have a wikipediaTitle or description.');
+    }
+
+    return {
+        action: action,
+        wikipediaTitle: wikipediaTitle,
+        language: wikipediaTitle ? language : null,
+        description: description,
+        note: note,
+    };
+};
+
+/**
+ * @returns {Array<object>} - Every city override.
+ */
+const listCityOverrides = () => store.cities.slice();
+
+/**
+ * Finds the override for a city, trying each of its names (upstream name, cleaned name, alias target).
+ * @param {string} country - Country code.
+ * @param {Array<string>} names - Candidate names; falsy entries are ignored.
+ * @returns {object|null}
+ */
+const findCityOverride = (country, names) => {
+    const keys = names.filter(Boolean).map(name => overrideKey(country, name));
+    return store.cities.find(override => keys.includes(overrideKey(override.country, override.name))) || null;
+};
+
+/**
+ * Creates or replaces the override of one upstream city name.
+ * @param {string} country - Country code.
+ * @param {string} name - City name as sent by the pollution API (matched ignoring case and diacritics).
+ * @param {object} input - See `validateCityOverride`.
+ * @param {string} actor - Who made the change, for the audit log.
+ * @returns {object} - { override, created }
+ * @throws {OverrideValidationError}
+ */
+const setCityOverride = (country, name, input, actor) => {
+    const code = validateCountry(country);
+    const fields = validateCityOverride(input);
+    const index = store.cities.findIndex(override => overrideKey(override.country, override.name) === overrideKey(code, name));
+    const before = index === -1 ? null : store.cities[index];
+    const override = { country: code, name: name.trim(), ...fields, updatedAt: new Date().toISOString(), updatedBy: actor };
+
+    if (before) {
+        store.cities[index] = override;
+    } else {
+        store.cities.push(override);
+    }
+    persist();
+    audit({ action: before ? 'override.updated' : 'override.created', actor, country: code, name: override.name, before, after: override });
+    return { override, created: !before };
+};
+
+/**
+ * @returns {object|null} - The removed override, or null if there was none.
+ */
+const deleteCityOverride = (country, name, actor) => {
+    const index = store.cities.findIndex(override => overrideKey(override.country, override.name) === overrideKey(country, name));
+    if (index === -1) {
+        return null;
+    }
+    const [removed] = store.cities.splice(index, 1);
+    persist();
+    audit({ action: 'override.deleted', actor, country: removed.country, name: removed.name, before: removed, after: null });
+    return removed;
+};
+
+/**
+ * @returns {Array<object>} - Every alias.
+ */
+const listAliases = () => store.aliases.slice();
+
+/**
+ * The canonical name an upstream name is an alias of.
+ * @param {string} country - Country code.
+ * @param {string} name - Upstream or cleaned name.
+ * @returns {string|null}
+ */
+const resolveAlias = (country, name) => {
+    const key = overrideKey(country, name);
+    const alias = store.aliases.find(candidate => overrideKey(candidate.country, candidate.alias) === key);
+    return alias ? alias.canonical : null;
+};
+
+/**
+ * Declares `alias` as another name of `canonical` (e.g. "Warszawa" -> "Warsaw"). Entries under either name
+ * are then de-duplicated as one city, which is reported under the canonical name.
+ * @param {string} country - Country code.
+ * @param {string} alias
+ * @param {object} input - { canonical, note? }
+ * @param {string} actor - Who made the change, for the audit log.
+ * @returns {object} - { alias, created }
+ * @throws {OverrideValidationError}
+ */
+const setAlias = (country, alias, input, actor) => {
+    const code = validateCountry(country);
+    const body = input || {};
+    const canonical = validateOptionalText(body, 'canonical');
+    if (!canonical) {
+        throw new OverrideValidationError('canonical', 'is required.');
+    }
+    if (foldName(canonical) === foldName(alias)) {
+        throw new OverrideValidationError('canonical', 'must differ from the alias.');
+    }
+    if (resolveAlias(code, canonical)) {
+        throw new OverrideValidationError('canonical', `"${canonical}" is itself an alias; point to "${resolveAlias(code, canonical)}" instead.`);
+    }
+    if (store.aliases.some(candidate => overrideKey(candidate.country, candidate.canonical) === overrideKey(code, alias))) {
+        throw new OverrideValidationError('alias', `"${alias}" is the canonical name of other aliases.`);
+    }
+
+    const index = store.aliases.findIndex(candidate => overrideKey(candidate.country, candidate.alias) === overrideKey(code, alias));
+    const before = index === -1 ? null : store.aliases[index];
+    const entry = { country: code, alias: alias.trim(), canonical: canonical, note: validateOptionalText(body, 'note'), updatedAt: new Date().toISOString(), updatedBy: actor };
+
+    if (before) {
+        store.aliases[index] = entry;
+    } else {
+        store.aliases.push(entry);
+    }
+    persist();
+    audit({ action: before ? 'alias.updated' : 'alias.created', actor, country: code, name: entry.alias, before, after: entry });
+    return { alias: entry, created: !before };
+};
+
+/**
+ * @returns {object|null} - The removed alias, or null if there was none.
+ */
+const deleteAlias = (country, alias, actor) => {
+    const index = store.aliases.findIndex(candidate => overrideKey(candidate.country, candidate.alias) === overrideKey(country, alias));
+    if (index === -1) {
+        return null;
+    }
+    const [removed] = store.aliases.splice(index, 1);
+    persist();
+    audit({ action: 'alias.deleted', actor, country: removed.country, name: removed.alias, before: removed, after: null });
+    return removed;
+};
+
+/**
+ * Reads the newest audit log entries.
+ * @param {number} limit - Maximum number of entries.
+ * @returns {Promise<Array<object>>} - Newest first.
+ */
+const getAuditLog = async (limit) => {
+    let content;
+    try {
+        content = await fs.promises.readFile(OVERRIDES_AUDIT_LOG, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+    return content.split('\n')
+        .filter(line => line.trim() !== '')
+        .slice(-limit)
+        .reverse()
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return { unreadable: line };
+            }
+        });
+};
+
+module.exports = {
+    ACTIONS,
+    OverrideValidationError,
+    listCityOverrides,
+    findCityOverride,
+    setCityOverride,
+    deleteCityOverride,
+    listAliases,
+    resolveAlias,
+    setAlias,
+    deleteAlias,
+    getAuditLog,
+};
@@ -1,91 +1,175 @@
-const axios = require('axios');
 const authService = require('./auth.service');
+const countryService = require('./country.service');
+const { createUpstreamClient } = require('../utils/httpClient');
+const logger = require('../utils/logger');
 
 const BASE_URL = process.env.POLLUTION_API_BASE_URL || 'https://be-recruitment-task.onrender.com';
-const AVAILABLE_COUNTRIES = ['PL', 'DE', 'ES', 'FR'];
+const UPSTREAM_PAGE_LIMIT = parseInt(process.env.POLLUTION_API_PAGE_LIMIT, 10) || 50;
+const MAX_UPSTREAM_PAGES = 100; // Safety net in case the API keeps reporting more pages
+
+const pollutionClient = createUpstreamClient({
+    name: 'pollution',
+    recordable: true,
+    baseURL: BASE_URL,
+    headers: {
+        'Content-Type': 'application/json',
+    },
+});
 
 /**
- * Fetches pollution data from the API for a specific page and limit.
- * If no countryCode is provided, it fetches the first page/limit for all available countries.
- * @param {string} [countryCode] - Optional country code (e.g., 'PL', 'DE').
- * @param {number} [page=1] - The page number to fetch.
- * @param {number} [limit=10] - The number of results per page.
- * @returns {object} - Aggregated city data for the requested page/limit, including the total count from API.
- * @throws {Error} - If API call fails or authentication issues.
+ * Fetches a single page of pollution data for one country.
+ * A rejected token is renewed and the request replayed once by the auth service.
+ * @param {string} country - Country code (e.g., 'PL').
+ * @param {number} page - The upstream page number to fetch.
+ * @returns {object} - { results: Array, totalPages: number }
  */
-const fetchPollutionData = async (countryCode, page = 1, limit = 10) => {
-    let allCitiesForRequestedPage = [];
-    let totalFromAPIForQuery = 0; // This will store the 'total' from the API for the *specific query*
-
-    try {
-        const authToken = await authService.getAuthToken();
+const fetchCountryPage = async (country, page) => {
+    logger.info(`Fetching pollution data for ${country}: page ${page}, limit ${UPSTREAM_PAGE_LIMIT}...`);
+    const response = await authService.withAuthRetry(authToken => pollutionClient.get('/pollution', {
+        params: {
+            country: country,
+            page: page,
+            limit: UPSTREAM_PAGE_LIMIT,
+        },
+        headers: {
+            'Authorization': `Bearer ${authToken}`,
+        },
+    }));
 
-        const countriesToQuery = countryCode ? [countryCode.toUpperCase()] : AVAILABLE_COUNTRIES;
+    const { meta, results } = response.data;
+    return {
+        results: Array.isArray(results) ? results : [],
+        totalPages: meta && meta.totalPages ? parseInt(meta.totalPages, 10) || 0 : 0,
+    };
+};
 
-        // Use Promise.all to fetch data for all *selected* countries concurrently for the requested page/limit
-        const countryDataPromises = countriesToQuery.map(async (country) => {
-            if (!AVAILABLE_COUNTRIES.includes(country)) {
-                console.warn(`Skipping invalid or unsupported country code: ${country}`);
-                return { cities: [], total: 0 }; // Return empty for invalid countries
-            }
+/**
+ * Walks every upstream page for one country and returns all raw entries.
+ * @param {string} country - Country code (e.g., 'PL').
+ * @returns {Array<object>} - Raw city entries, each tagged with its country.
+ */
+const fetchAllCountryPages = async (country) => {
+    const entries = [];
+    let page = 1;
+    let totalPages = 1;
 
-            console.log(`Fetching pollution data for ${country}: page ${page}, limit ${limit}...`);
-            const response = await axios.get(`${BASE_URL}/pollution`, {
-                params: {
-                    country: country,
-                    page: page,
-                    limit: limit,
-                },
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${authToken}`,
-                },
-            });
+    do {
+        const { results, totalPages: reportedPages } = await fetchCountryPage(country, page);
+        totalPages = Math.min(reportedPages, MAX_UPSTREAM_PAGES);
+        entries.push(...results.map(city => ({ ...city, country: country })));
+        page++;
+    } while (page <= totalPages);
 
-            const { meta, results } = response.data;
-            console.log(`Meta: ${JSON.stringify(response.data)}`);
-            if (!results) {
-                return { cities: [], total: meta.totalPages || 0 };
-            }
+    logger.info(`Fetched ${entries.length} raw entries for ${country} across ${Math.max(totalPages, 1)} page(s).`);
+    return entries;
+};
 
-            // Add the country property to each city object immediately upon fetching
-            const citiesWithCountry = results.map(city => ({
-                ...city,
-                country: country
-            }));
-            return { cities: citiesWithCountry, total: meta.totalPages * limit }; // Return cities and the total for this specific country query
-        });
+/**
+ * Logs the details of a failed pollution API call.
+ * @param {string} context - What was being fetched (e.g., 'PL').
+ * @param {Error} error - The error raised by the upstream client.
+ */
+const logPollutionError = (context, error) => {
+    logger.error(`Error fetching pollution data for ${context}`, {
+        error: error.message,
+        ...(error.response ? { status: error.response.status, response: error.response.data } : {}),
+    });
+    if (error.response) {
+        if (error.response.status === 401) {
+            logger.error('Authentication failed for pollution API even after re-authenticating. Please check login credentials.');
+        } else if (error.response.status === 400 && error.response.data && error.response.data.error) {
+             logger.error(`API returned 400 for country code. Error: ${error.response.data.error}`);
+        }
+    }
+};
 
-        const resultsPerCountry = await Promise.all(countryDataPromises);
+/**
+ * Fetches the complete pollution dataset from the API, walking all pages per country.
+ * If no countryCode is provided, it fetches every supported country from the country registry.
+ * Countries are fetched independently: if some fail, the others are still returned and
+ * the failures are listed in `failedSources`. Only when every country fails is an error thrown.
+ * @param {string} [countryCode] - Optional country code (e.g., 'PL', 'DE').
+ * @returns {object} - { cities: Array, total: number, failedSources: Array<{ source, country, message }> }
+ * @throws {Error} - If authentication fails or no country could be fetched.
+ */
+const fetchPollutionData = async (countryCode) => {
+    try {
+        // Obtain the token up front so that a login failure is reported once, not per country.
+        await authService.getAuthToken();
+    } catch (error) {
+        logPollutionError('authentication', error);
+        throw new Error('Failed to fetch pollution data from API.');
+    }
 
-        // Aggregate results and sum up the total
-        resultsPerCountry.forEach(countryResult => {
-            allCitiesForRequestedPage = allCitiesForRequestedPage.concat(countryResult.cities);
-            totalFromAPIForQuery += countryResult.total;
+    const countriesToQuery = (countryCode ? [countryCode.toUpperCase()] : countryService.getSupportedCodes())
+        .filter(country => {
+            if (!countryService.isSupported(country)) {
+                logger.warn(`Skipping invalid or unsupported country code: ${country}`);
+                return false;
+            }
+            return true;
         });
 
-        return {
-            cities: allCitiesForRequestedPage,
-            page: page,
-            limit: limit,
-            total: totalFromAPIForQuery
-        };
+    const settled = await Promise.allSettled(
+        countriesToQuery.map(country => fetchAllCountryPages(country))
+    );
 
-    } catch (error) {
-        console.error('Error fetching pollution data:', error.message);
-        if (error.response) {
-            console.error('Response data:', error.response.data);
-            console.error('Response status:', error.response.status);
-            if (error.response.status === 401) {
-                console.error('Authentication failed for pollution API: Token might be expired or invalid. Please check login credentials.');
-            } else if (error.response.status === 400 && error.response.data && error.response.data.error) {
-                 console.error(`API returned 400 for country code. Error: ${error.response.data.error}`);
-            }
+    let allCities = [];
+    const failedSources = [];
+    settled.forEach((outcome, index) => {
+        const country = countriesToQuery[index];
+        if (outcome.status === 'fulfilled') {
+            allCities = allCities.concat(outcome.value);
+        } else {
+            logPollutionError(country, outcome.reason);
+            failedSources.push({
+                source: 'pollution',
+                country: country,
+                message: `Pollution data for ${country} is unavailable: ${outcome.reason.message}`,
+            });
         }
+    });
+
+    if (countriesToQuery.length > 0 && failedSources.length === countriesToQuery.length) {
         throw new Error('Failed to fetch pollution data from API.');
     }
+
+    return {
+        cities: allCities,
+        total: allCities.length,
+        failedSources: failedSources,
+    };
+};
+
+/**
+ * Asks the upstream API for one page of every configured country and records in the registry
+ * which ones it actually serves. Countries it rejects (4xx) become unsupported; countries that
+ * could not be checked (network or 5xx errors) are left as they were.
+ * @returns {object} - { supported: Array<string>, unsupported: Array<string>, unknown: Array<string> }
+ */
+const discoverSupportedCountries = async () => {
+    const outcome = { supported: [], unsupported: [], unknown: [] };
+
+    await Promise.all(countryService.getCountries().map(async ({ code }) => {
+        try {
+            await fetchCountryPage(code, 1);
+            countryService.setUpstreamSupport(code, true);
+            outcome.supported.push(code);
+        } catch (error) {
+            if (error.response && error.response.status >= 400 && error.response.status < 500) {
+                countryService.setUpstreamSupport(code, false);
+                outcome.unsupported.push(code);
+            } else {
+                outcome.unknown.push(code);
+            }
+        }
+    }));
+
+    logger.info(`Country discovery: supported [${outcome.supported.join(', ')}], unsupported [${outcome.unsupported.join(', ')}], unknown [${outcome.unknown.join(', ')}].`);
+    return outcome;
 };
 
 module.exports = {
     fetchPollutionData,
-};
\ No newline at end of file
+    discoverSupportedCountries,
+};
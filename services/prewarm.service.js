@@ -0,0 +1,68 @@
+const citiesService = require('./cities.service');
+const countryService = require('./country.service');
+const logger = require('../utils/logger');
+
+const PREWARM_INTERVAL_SECONDS = process.env.PREWARM_INTERVAL_SECONDS !== undefined
+    ? parseInt(process.env.PREWARM_INTERVAL_SECONDS, 10)
+    : 300; // Rebuild every 5 minutes, well within the dataset TTL
+// Languages to pre-warm, e.g. 'en,pl'; every supported language when unset. Each language is a full
+// set of dataset builds, so narrowing this reduces the load on the pollution API.
+const PREWARM_LANGUAGES = process.env.PREWARM_LANGUAGES
+    ? process.env.PREWARM_LANGUAGES.split(',').map(lang => lang.trim().toLowerCase()).filter(Boolean)
+    : null;
+
+let timer = null;
+let running = false;
+
+/**
+ * Rebuilds the default dataset and each per-country dataset in every pre-warmed language, one after the other
+ * so that pre-warming never competes with itself for upstream capacity.
+ */
+const prewarmDatasets = async () => {
+    if (running) {
+        logger.warn('Previous pre-warm run still in progress; skipping this one.');
+        return;
+    }
+    running = true;
+    const startedAt = Date.now();
+    try {
+        // Read on every run: country discovery can add languages after start-up.
+        const languages = countryService.getSupportedLanguages().filter(lang => !PREWARM_LANGUAGES || PREWARM_LANGUAGES.includes(lang));
+        for (const lang of languages) {
+            for (const country of [undefined, ...countryService.getSupportedCodes()]) {
+                try {
+                    await citiesService.refreshCitiesDataset(country, lang);
+                } catch (error) {
+                    logger.error(`Pre-warming ${lang} dataset for ${country || 'all default countries'} failed`, { error: error.message });
+                }
+            }
+        }
+        logger.info(`Pre-warmed city datasets in ${Date.now() - startedAt}ms.`);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Starts pre-warming immediately and then every PREWARM_INTERVAL_SECONDS (0 disables it).
+ */
+const startPrewarmScheduler = () => {
+    if (timer || !(PREWARM_INTERVAL_SECONDS > 0)) {
+        return;
+    }
+    prewarmDatasets();
+    timer = setInterval(prewarmDatasets, PREWARM_INTERVAL_SECONDS * 1000);
+    timer.unref();
+    logger.info(`Pre-warming city datasets every ${PREWARM_INTERVAL_SECONDS} seconds.`);
+};
+
+const stopPrewarmScheduler = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    prewarmDatasets,
+    startPrewarmScheduler,
+    stopPrewarmScheduler,
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const API_TIERS_CONFIG_PATH = process.env.API_TIERS_CONFIG_PATH || path.join(__dirname, '..', 'config', 'apiTiers.json');
+const MAX_TRACKED_BUCKETS = 10000; // Full buckets are forgotten beyond this; they would start full again anyway
+
+/**
+ * Loads and validates the rate limit tiers.
+ * Each tier: { id, name, capacity, refillPerMinute }; `capacity` is the burst size, `refillPerMinute` the sustained rate.
+ * @param {string} filePath - JSON file holding { defaultTier, anonymousTier, tiers }.
+ * @returns {object} - { defaultTier, anonymousTier, tiers: Map<string, object> }
+ * @throws {Error} - If the file is unreadable or a tier is malformed.
+ */
+const loadTiers = (filePath) => {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!config || !Array.isArray(config.tiers) || config.tiers.length === 0) {
+        throw new Error(`API tier config ${filePath} must contain a non-empty "tiers" array.`);
+    }
+
+    const tiers = new Map();
+    for (const tier of config.tiers) {
+        if (!tier || typeof tier.id !== 'string' || !(tier.capacity > 0) || !(tier.refillPerMinute > 0)) {
+            throw new Error(`Invalid API tier in ${filePath}: ${JSON.stringify(tier && tier.id)}`);
+        }
+        tiers.set(tier.id, {
+            id: tier.id,
+            name: tier.name || tier.id,
+            capacity: tier.capacity,
+            refillPerMinute: tier.refillPerMinute,
+        });
+    }
+
+    const defaultTier = config.defaultTier || config.tiers[0].id;
+    const anonymousTier = config.anonymousTier || defaultTier;
+    [defaultTier, anonymousTier].forEach(id => {
+        if (!tiers.has(id)) {
+            throw new Error(`API tier "${id}" is referenced but not defined in ${filePath}.`);
+        }
+    });
+    return { defaultTier, anonymousTier, tiers };
+};
+
+const { defaultTier, anonymousTier, tiers } = loadTiers(API_TIERS_CONFIG_PATH);
+
+const buckets = new Map(); // bucket key -> { tokens, updatedAt }
+
+/**
+ * @returns {Array<object>} - Every configured tier.
+ */
+const getTiers = () => Array.from(tiers.values());
+
+/**
+ * @param {string} [id] - Tier ID; the default tier when omitted.
+ * @returns {object|null} - The tier, or null if it is not configured.
+ */
+const getTier = (id = defaultTier) => tiers.get(id) || null;
+
+const getDefaultTierId = () => defaultTier;
+
+const getAnonymousTierId = () => anonymousTier;
+
+/**
+ * Drops buckets that have refilled completely, once too many are tracked.
+ */
+const pruneBuckets = (now) => {
+    if (buckets.size <= MAX_TRACKED_BUCKETS) {
+        return;
+    }
+    for (const [key, bucket] of buckets) {
+        if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+            buckets.delete(key);
+        }
+    }
+};
+
+/**
+ * Takes one token from a client's bucket (token bucket: `capacity` tokens, refilled continuously at
+ * `refillPerMinute`). Buckets are created full, so a new client may burst up to the capacity.
+ * @param {string} bucketKey - e.g. the API key ID, or `ip:<address>` for anonymous clients.
+ * @param {object} tier - From `getTier`.
+ * @returns {object} - { allowed, limit, remaining, resetSeconds (until the bucket is full again),
+ *                       retryAfterSeconds (until the next token, when not allowed) }
+ */
+const consume = (bucketKey, tier) => {
+    const now = Date.now();
+    const refillPerMs = tier.refillPerMinute / 60000;
+    let bucket = buckets.get(bucketKey);
+    if (!bucket || bucket.capacity !== tier.capacity || bucket.refillPerMs !== refillPerMs) {
+        // New client, or its tier changed: start from a full bucket of the current tier.
+        bucket = { tokens: tier.capacity, updatedAt: now, capacity: tier.capacity, refillPerMs: refillPerMs };
+        buckets.set(bucketKey, bucket);
+        pruneBuckets(now);
+    }
+
+    bucket.tokens = Math.min(tier.capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+        bucket.tokens -= 1;
+    }
+    return {
+        allowed: allowed,
+        limit: tier.capacity,
+        remaining: Math.floor(bucket.tokens),
+        resetSeconds: Math.ceil((tier.capacity - bucket.tokens) / refillPerMs / 1000),
+        retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000),
+    };
+};
+
+module.exports = {
+    getTiers,
+    getTier,
+    getDefaultTierId,
+    getAnonymousTierId,
+    consume,
+};
@@ -0,0 +1,132 @@
+const citiesService = require('./cities.service');
+const aqiService = require('./aqi.service');
+const { getCache } = require('../utils/cache');
+
+const STATS_CACHE_KEY_PREFIX = 'pollutedCitiesStats';
+
+const pollutionCache = getCache('pollution');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Percentile of sorted values, interpolating linearly between the closest ranks.
+ * @param {Array<number>} sorted - Values in ascending order.
+ * @param {number} percentile - 0 to 100.
+ * @returns {number|null}
+ */
+const percentileOf = (sorted, percentile) => {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const rank = (percentile / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const summarizeCity = (city) => ({
+    name: city.name,
+    country: city.country,
+    pollution: city.pollution,
+    aqi: city.aqi,
+    category: city.category,
+});
+
+/**
+ * Aggregates a list of validated cities.
+ * @param {Array<object>} cities - Dataset cities, sorted by pollution (highest first).
+ * @param {object} scale - Index scale used for the band counts.
+ * @param {number} top - How many most and least polluted cities to list.
+ * @returns {object} - { cities, pollution: { min, mean, median, p90, max }, mostPolluted, leastPolluted, aqiBands }
+ */
+const computeStats = (cities, scale, top) => {
+    const rated = cities.map(city => ({ ...city, ...aqiService.rateReading(city.pollution, scale) }));
+    const values = rated.map(city => city.pollution).sort((a, b) => a - b);
+    const aqiBands = Object.fromEntries(scale.bands.map(band => [band.category, 0]));
+    rated.forEach(city => {
+        aqiBands[city.category]++;
+    });
+
+    return {
+        cities: rated.length,
+        pollution: {
+            min: values.length > 0 ? values[0] : null,
+            mean: values.length > 0 ? round(values.reduce((total, value) => total + value, 0) / values.length) : null,
+            median: values.length > 0 ? round(percentileOf(values, 50)) : null,
+            p90: values.length > 0 ? round(percentileOf(values, 90)) : null,
+            max: values.length > 0 ? values[values.length - 1] : null,
+        },
+        mostPolluted: rated.slice(0, top).map(summarizeCity),
+        leastPolluted: rated.slice(-top).reverse().map(summarizeCity),
+        aqiBands: aqiBands,
+    };
+};
+
+/**
+ * Returns statistics for a dataset, cached next to it: the cached entry is reused for as long as
+ * it was computed from the dataset currently in the cache (same `generatedAt`).
+ * @returns {Promise<object>}
+ */
+const getCachedStats = async (cacheKey, dataset, compute) => {
+    const cached = await pollutionCache.get(cacheKey);
+    if (cached && cached.generatedAt === dataset.generatedAt) {
+        return cached.stats;
+    }
+    const stats = compute();
+    await pollutionCache.set(cacheKey, { generatedAt: dataset.generatedAt, stats }, citiesService.DATASET_CACHE_TTL + citiesService.DATASET_STALE_TTL);
+    return stats;
+};
+
+/**
+ * Statistics for one country, computed from its validated dataset.
+ * @param {string} country - Country code.
+ * @param {object} options
+ * @param {object} options.scale - Index scale for the band counts.
+ * @param {number} options.top - Length of the most/least polluted lists.
+ * @returns {Promise<object>} - { stats, dataset, cacheStatus, ageSeconds }
+ */
+const getCountryStats = async (country, { scale, top }) => {
+    const { dataset, cacheStatus, ageSeconds } = await citiesService.getCitiesDataset(country);
+    const stats = await getCachedStats(
+        `${STATS_CACHE_KEY_PREFIX}_${country.toUpperCase()}_${scale.id}_${top}`,
+        dataset,
+        () => computeStats(dataset.cities, scale, top)
+    );
+    return { stats, dataset, cacheStatus, ageSeconds };
+};
+
+/**
+ * Statistics over all default countries, plus the same statistics per country,
+ * computed from the default (all countries) dataset.
+ * @param {object} options - Same as `getCountryStats`.
+ * @returns {Promise<object>} - { stats: { overall, countries }, dataset, cacheStatus, ageSeconds }
+ */
+const getOverallStats = async ({ scale, top }) => {
+    const { dataset, cacheStatus, ageSeconds } = await citiesService.getCitiesDataset();
+    const stats = await getCachedStats(
+        `${STATS_CACHE_KEY_PREFIX}_default_${scale.id}_${top}`,
+        dataset,
+        () => {
+            const byCountry = new Map();
+            for (const city of dataset.cities) {
+                if (!byCountry.has(city.country)) {
+                    byCountry.set(city.country, []);
+                }
+                byCountry.get(city.country).push(city);
+            }
+            return {
+                overall: computeStats(dataset.cities, scale, top),
+                countries: Array.from(byCountry.entries())
+                    .map(([code, cities]) => ({ country: code, ...computeStats(cities, scale, top) }))
+                    .sort((a, b) => b.pollution.mean - a.pollution.mean),
+            };
+        }
+    );
+    return { stats, dataset, cacheStatus, ageSeconds };
+};
+
+module.exports = {
+    computeStats,
+    getCountryStats,
+    getOverallStats,
+};
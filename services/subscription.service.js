@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const countryService = require('./country.service');
+const logger = require('../utils/logger');
+const webhookTarget = require('../utils/webhookTarget');
+
+dotenv.config();
+
+const SUBSCRIPTIONS_FILE = process.env.SUBSCRIPTIONS_FILE || path.join(__dirname, '..', 'data', 'subscriptions.json');
+const DEAD_LETTER_LIMIT = parseInt(process.env.WEBHOOK_DEAD_LETTER_LIMIT, 10) || 500; // Oldest dead letters are dropped beyond this
+
+/**
+ * Error for a subscription request that cannot be accepted; `field` names the offending property.
+ */
+class SubscriptionValidationError extends Error {
+    constructor(field, message) {
+        super(`Invalid "${field}": ${message}`);
+        this.name = 'SubscriptionValidationError';
+        this.field = field;
+    }
+}
+
+/**
+ * Loads persisted subscriptions and dead letters; a missing file means none yet.
+ * @returns {object} - { subscriptions: Array, deadLetters: Array }
+ */
+const loadStore = () => {
+    try {
+        const persisted = JSON.parse(fs.readFileSync(SUBSCRIPTIONS_FILE, 'utf8'));
+        const loaded = {
+            subscriptions: Array.isArray(persisted.subscriptions) ? persisted.subscriptions : [],
+            deadLetters: Array.isArray(persisted.deadLetters) ? persisted.deadLetters : [],
+        };
+        logger.info(`Loaded ${loaded.subscriptions.length} subscription(s) from ${SUBSCRIPTIONS_FILE}.`);
+        return loaded;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Could not load subscriptions from ${SUBSCRIPTIONS_FILE}, starting empty`, { error: error.message });
+        }
+        return { subscriptions: [], deadLetters: [] };
+    }
+};
+
+const store = loadStore();
+
+/**
+ * Writes the store to disk atomically (temp file + rename).
+ */
+const persist = () => {
+    try {
+        fs.mkdirSync(path.dirname(SUBSCRIPTIONS_FILE), { recursive: true });
+        const tempPath = `${SUBSCRIPTIONS_FILE}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(store, null, 2));
+        fs.renameSync(tempPath, SUBSCRIPTIONS_FILE);
+    } catch (error) {
+        logger.error(`Failed to persist subscriptions to ${SUBSCRIPTIONS_FILE}`, { error: error.message });
+    }
+};
+
+/**
+ * The public view of a subscription: everything except the signing secret.
+ * @param {object} subscription
+ * @returns {object}
+ */
+const toPublic = ({ secret, ...subscription }) => subscription;
+
+/**
+ * Validates a subscription request. The callback host is resolved, and private or loopback targets are
+ * refused unless listed in WEBHOOK_ALLOWED_HOSTS, so that webhooks cannot be aimed at internal services.
+ * @param {object} input - { country, city, threshold, callbackUrl, secret }
+ * @returns {Promise<object>} - Normalised fields.
+ * @throws {SubscriptionValidationError}
+ */
+const validateInput = async (input) => {
+    const { country, city, threshold, callbackUrl, secret } = input || {};
+
+    if (typeof country !== 'string' || !countryService.isSupported(country)) {
+        throw new SubscriptionValidationError('country', typeof country === 'string' ? countryService.describeUnsupported(country) : 'is required.');
+    }
+    if (city !== undefined && city !== null && (typeof city !== 'string' || city.trim() === '')) {
+        throw new SubscriptionValidationError('city', 'must be a non-empty string, or omitted to watch every city of the country.');
+    }
+    if (typeof threshold !== 'number' || !isFinite(threshold) || threshold < 0) {
+        throw new SubscriptionValidationError('threshold', 'must be a non-negative number.');
+    }
+    let url;
+    try {
+        url = new URL(callbackUrl);
+    } catch (error) {
+        url = null;
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        throw new SubscriptionValidationError('callbackUrl', 'must be an absolute http(s) URL.');
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+        throw new SubscriptionValidationError('secret', 'must be a string of at least 16 characters, or omitted to have one generated.');
+    }
+    // Last, as it needs a DNS lookup.
+    try {
+        await webhookTarget.assertAllowedTarget(url);
+    } catch (error) {
+        throw new SubscriptionValidationError('callbackUrl', error instanceof webhookTarget.WebhookTargetError
+            ? `${error.message} Webhooks can only be sent to public hosts.`
+            : `the host ${url.hostname} could not be resolved.`);
+    }
+
+    return {
+        country: country.trim().toUpperCase(),
+        city: city ? city.trim() : null,
+        threshold: threshold,
+        callbackUrl: url.toString(),
+        secret: secret || crypto.randomBytes(32).toString('hex'),
+    };
+};
+
+/**
+ * Whether a subscription or dead letter belongs to a client. Without a client id every record matches,
+ * which is how the alert poller sees all of them.
+ * @param {object} record
+ * @param {string} [clientId]
+ * @returns {boolean}
+ */
+const isOwnedBy = (record, clientId) => clientId === undefined || record.clientId === clientId;
+
+/**
+ * Registers a subscription. The signing secret is returned only here.
+ * @param {object} input - { country, city?, threshold, callbackUrl, secret? }
+ * @param {string} clientId - The API client that owns the subscription.
+ * @returns {Promise<object>} - The subscription, including its secret.
+ * @throws {SubscriptionValidationError}
+ */
+const createSubscription = async (input, clientId) => {
+    const subscription = {
+        id: crypto.randomUUID(),
+        clientId: clientId,
+        ...await validateInput(input),
+        createdAt: new Date().toISOString(),
+        alerts: {}, // city key -> { name, pollution, since } while the city is above the threshold
+    };
+    store.subscriptions.push(subscription);
+    persist();
+    return subscription;
+};
+
+/**
+ * @param {string} [clientId] - Only this client's subscriptions; every subscription when omitted.
+ * @returns {Array<object>} - Subscriptions, without secrets.
+ */
+const listSubscriptions = (clientId) => store.subscriptions
+    .filter(subscription => isOwnedBy(subscription, clientId))
+    .map(toPublic);
+
+/**
+ * @param {string} id
+ * @param {string} [clientId] - When given, another client's subscription is treated as missing.
+ * @returns {object|null} - The subscription (with its secret), or null.
+ */
+const getSubscription = (id, clientId) => store.subscriptions
+    .find(subscription => subscription.id === id && isOwnedBy(subscription, clientId)) || null;
+
+/**
+ * @param {string} id
+ * @param {string} [clientId] - When given, another client's subscription is left alone.
+ * @returns {boolean} - Whether a subscription was removed.
+ */
+const deleteSubscription = (id, clientId) => {
+    const index = store.subscriptions.findIndex(subscription => subscription.id === id && isOwnedBy(subscription, clientId));
+    if (index === -1) {
+        return false;
+    }
+    store.subscriptions.splice(index, 1);
+    persist();
+    return true;
+};
+
+/**
+ * Records the alert state of a subscription after an evaluation.
+ * @param {string} id
+ * @param {object} alerts - city key -> { name, pollution, since }.
+ */
+const updateAlerts = (id, alerts) => {
+    const subscription = getSubscription(id);
+    if (subscription) {
+        subscription.alerts = alerts;
+        persist();
+    }
+};
+
+/**
+ * Keeps a webhook delivery that failed after every retry, so it can be inspected (and replayed by hand).
+ * @param {object} deadLetter - { deliveryId, subscriptionId, clientId, callbackUrl, event, payload, error }
+ */
+const addDeadLetter = (deadLetter) => {
+    store.deadLetters.push({ ...deadLetter, failedAt: new Date().toISOString() });
+    if (store.deadLetters.length > DEAD_LETTER_LIMIT) {
+        store.deadLetters.splice(0, store.deadLetters.length - DEAD_LETTER_LIMIT);
+    }
+    persist();
+};
+
+/**
+ * @param {string} [clientId] - Only deliveries of this client's subscriptions; all of them when omitted.
+ * @returns {Array<object>} - Failed deliveries, oldest first.
+ */
+const listDeadLetters = (clientId) => store.deadLetters.filter(deadLetter => isOwnedBy(deadLetter, clientId));
+
+module.exports = {
+    SubscriptionValidationError,
+    toPublic,
+    createSubscription,
+    listSubscriptions,
+    getSubscription,
+    deleteSubscription,
+    updateAlerts,
+    addDeadLetter,
+    listDeadLetters,
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const subscriptionService = require('./subscription.service');
+const { createUpstreamClient } = require('../utils/httpClient');
+const webhookTarget = require('../utils/webhookTarget');
+const logger = require('../utils/logger');
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+const WEBHOOK_MAX_RETRIES = process.env.WEBHOOK_MAX_RETRIES !== undefined ? parseInt(process.env.WEBHOOK_MAX_RETRIES, 10) : 4;
+
+// No base URL: every subscription has its own absolute callback URL. Retries and backoff are the same as
+// for the upstream APIs. Callback hosts are chosen by API users, so there is no per-host circuit breaker and
+// every delivery is counted under host="webhook" in the metrics. The agents refuse to connect to
+// private addresses, and redirects are not followed, since either could point a webhook at an internal service.
+const webhookClient = createUpstreamClient({
+    name: 'webhook',
+    headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'UrbanAirQualityInsightsAPI/1.0 Webhooks',
+    },
+    timeout: WEBHOOK_TIMEOUT_MS,
+    maxRetries: WEBHOOK_MAX_RETRIES,
+    httpAgent: webhookTarget.httpAgent,
+    httpsAgent: webhookTarget.httpsAgent,
+    maxRedirects: 0,
+    circuitBreaker: false,
+    metricsHost: 'webhook',
+});
+
+/**
+ * Signs a webhook body. Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it
+ * with `v1`, and reject old timestamps to prevent replays.
+ * @param {string} secret - The subscription's secret.
+ * @param {string} body - The exact request body.
+ * @param {number} timestamp - Unix seconds.
+ * @returns {string} - Value of the X-Signature header: `t=<timestamp>,v1=<hex digest>`.
+ */
+const signPayload = (secret, body, timestamp) => {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * POSTs one signed event to a subscription's callback URL. Transient failures are retried with backoff;
+ * a delivery that still fails is dead-lettered instead of thrown.
+ * @param {object} subscription - The subscription, including its secret.
+ * @param {string} event - Event type, e.g. 'threshold.exceeded'.
+ * @param {object} data - Event-specific fields.
+ * @returns {Promise<object>} - { delivered, deliveryId, status?, error? }
+ */
+const deliverEvent = async (subscription, event, data) => {
+    const deliveryId = crypto.randomUUID();
+    const payload = {
+        id: deliveryId,
+        event: event,
+        subscriptionId: subscription.id,
+        occurredAt: new Date().toISOString(),
+        ...data,
+    };
+    const body = JSON.stringify(payload);
+
+    try {
+        // Checked again on every delivery: subscriptions persisted earlier may predate the check or the allowlist.
+        await webhookTarget.assertAllowedTarget(new URL(subscription.callbackUrl));
+        // Sent as a string so the signed bytes are exactly the bytes on the wire.
+        const response = await webhookClient.post(subscription.callbackUrl, body, {
+            headers: {
+                'X-Webhook-Id': deliveryId,
+                'X-Webhook-Event': event,
+                'X-Signature': signPayload(subscription.secret, body, Math.floor(Date.now() / 1000)),
+            },
+        });
+        logger.info(`Delivered ${event} webhook ${deliveryId} for subscription ${subscription.id} (status ${response.status}).`);
+        return { delivered: true, deliveryId, status: response.status };
+    } catch (error) {
+        const reason = error.response ? `status ${error.response.status}` : error.message;
+        logger.error(`Webhook ${deliveryId} (${event}) to ${subscription.callbackUrl} failed; dead-lettering it`, { error: reason });
+        subscriptionService.addDeadLetter({
+            deliveryId: deliveryId,
+            subscriptionId: subscription.id,
+            clientId: subscription.clientId,
+            callbackUrl: subscription.callbackUrl,
+            event: event,
+            payload: payload,
+            error: reason,
+        });
+        return { delivered: false, deliveryId, error: reason };
+    }
+};
+
+module.exports = {
+    signPayload,
+    deliverEvent,
+};
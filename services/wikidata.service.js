@@ -0,0 +1,122 @@
+const { getCache } = require('../utils/cache');
+const { createUpstreamClient } = require('../utils/httpClient');
+const { createLimiter } = require('../utils/concurrency');
+
+const WIKIDATA_API_URL = process.env.WIKIDATA_API_URL || 'https://www.wikidata.org/w/api.php';
+const WIKIDATA_MAX_CONCURRENCY = parseInt(process.env.WIKIDATA_MAX_CONCURRENCY, 10) || 4;
+
+const cache = getCache('wiki');
+
+const wikidataClient = createUpstreamClient({
+    name: 'wikidata',
+    recordable: true,
+    baseURL: WIKIDATA_API_URL,
+    headers: {
+        'User-Agent': 'UrbanAirQualityInsightsAPI/1.0 (contact@example.com) NodeJS',
+    },
+});
+
+// Classification looks up an item per city, so the fan-out is bounded like the Wikipedia one.
+const limitWikidataCall = createLimiter(WIKIDATA_MAX_CONCURRENCY);
+
+/**
+ * Returns the non-deprecated statements for a property, preferred ones only if any exist.
+ * @param {object} claims - The `claims` object of a Wikidata entity.
+ * @param {string} property - Property ID (e.g., 'P31').
+ * @returns {Array<object>}
+ */
+const getStatements = (claims, property) => {
+    const statements = (claims[property] || []).filter(statement =>
+        statement.rank !== 'deprecated' && statement.mainsnak && statement.mainsnak.datavalue
+    );
+    const preferred = statements.filter(statement => statement.rank === 'preferred');
+    return preferred.length > 0 ? preferred : statements;
+};
+
+const getItemIds = (claims, property) => getStatements(claims, property)
+    .map(statement => statement.mainsnak.datavalue.value.id)
+    .filter(Boolean);
+
+/**
+ * Picks the most recent population figure, using the "point in time" (P585) qualifier.
+ * @param {object} claims
+ * @returns {object|null} - { value: number, asOf: string|null }
+ */
+const getPopulation = (claims) => {
+    const figures = getStatements(claims, 'P1082').map(statement => {
+        const pointInTime = statement.qualifiers && statement.qualifiers.P585 && statement.qualifiers.P585[0].datavalue;
+        return {
+            value: parseInt(statement.mainsnak.datavalue.value.amount, 10),
+            asOf: pointInTime ? pointInTime.value.time.replace(/^\+/, '').slice(0, 10) : null,
+        };
+    }).filter(figure => !isNaN(figure.value));
+
+    if (figures.length === 0) {
+        return null;
+    }
+    figures.sort((a, b) => (b.asOf || '').localeCompare(a.asOf || ''));
+    return figures[0];
+};
+
+const getCoordinates = (claims) => {
+    const [statement] = getStatements(claims, 'P625');
+    if (!statement) {
+        return null;
+    }
+    const { latitude, longitude } = statement.mainsnak.datavalue.value;
+    return { lat: latitude, lon: longitude };
+};
+
+/**
+ * Reduces a raw Wikidata entity to the facts this service uses.
+ * @param {object} entity - Entity as returned by wbgetentities.
+ * @returns {object} - { id, instanceOf, subclassOf, countries, population, coordinates }
+ */
+const extractEntityFacts = (entity) => {
+    const claims = entity.claims || {};
+    return {
+        id: entity.id,
+        instanceOf: getItemIds(claims, 'P31'),
+        subclassOf: getItemIds(claims, 'P279'),
+        countries: getItemIds(claims, 'P17'),
+        population: getPopulation(claims),
+        coordinates: getCoordinates(claims),
+    };
+};
+
+/**
+ * Fetches the facts for a Wikidata item, using cache.
+ * @param {string} itemId - Wikidata item ID (e.g., 'Q270').
+ * @returns {object|null} - Entity facts, or null if the item does not exist.
+ * @throws {Error} - If Wikidata could not be reached.
+ */
+const fetchEntityFacts = async (itemId) => {
+    const cacheKey = `wikidata_facts_${itemId}`;
+    const cachedFacts = await cache.get(cacheKey);
+    if (cachedFacts) {
+        return cachedFacts;
+    }
+
+    const response = await limitWikidataCall(() => wikidataClient.get('', {
+        params: {
+            action: 'wbgetentities',
+            ids: itemId,
+            props: 'claims',
+            format: 'json',
+        },
+    }));
+
+    const entity = response.data.entities && response.data.entities[itemId];
+    if (!entity || entity.missing !== undefined) {
+        return null;
+    }
+
+    const facts = extractEntityFacts(entity);
+    await cache.set(cacheKey, facts);
+    return facts;
+};
+
+module.exports = {
+    fetchEntityFacts,
+    extractEntityFacts,
+};
@@ -1,19 +1,72 @@
-const axios = require('axios');
-const { cache } = require('../utils/cache');
+const { getCache } = require('../utils/cache');
+const { createUpstreamClient } = require('../utils/httpClient');
+const { createLimiter } = require('../utils/concurrency');
+const logger = require('../utils/logger');
 
-const WIKIPEDIA_API_URL = 'https://en.wikipedia.org/w/api.php';
-const WIKIPEDIA_CACHE_TTL = 3600; // Cache for 1 hour (in seconds)
+// `{lang}` is replaced by the Wikipedia language edition (e.g., 'en', 'pl').
+const WIKIPEDIA_API_URL_TEMPLATE = process.env.WIKIPEDIA_API_URL_TEMPLATE || 'https://{lang}.wikipedia.org/w/api.php';
+const DEFAULT_LANGUAGE = 'en';
+const WIKIPEDIA_MAX_CONCURRENCY = parseInt(process.env.WIKIPEDIA_MAX_CONCURRENCY, 10) || 4;
+
+const cache = getCache('wiki');
+const wikipediaClients = new Map();
+
+/**
+ * Returns the upstream client for one Wikipedia language edition, creating it on first use.
+ * @param {string} lang - Language code (e.g., 'pl').
+ * @returns {object} - Upstream client.
+ */
+const getWikipediaClient = (lang) => {
+    if (!wikipediaClients.has(lang)) {
+        wikipediaClients.set(lang, createUpstreamClient({
+            name: `wikipedia:${lang}`,
+            recordable: true,
+            baseURL: WIKIPEDIA_API_URL_TEMPLATE.replace('{lang}', lang),
+            headers: {
+                'User-Agent': 'UrbanAirQualityInsightsAPI/1.0 (contact@example.com) NodeJS',
+            },
+        }));
+    }
+    return wikipediaClients.get(lang);
+};
+
+// Shared by every lookup (all languages) so that building a large dataset never floods Wikipedia with parallel calls.
+const limitWikipediaCall = createLimiter(WIKIPEDIA_MAX_CONCURRENCY);
+
+/**
+ * Shortens an intro extract to its first sentence, cut at a word boundary after 250 characters.
+ * @param {string} extract - Plain-text intro extract.
+ * @returns {string}
+ */
+const summarizeExtract = (extract) => {
+    const firstSentenceMatch = extract.match(/^(.+?([.?!]|\n)\s)/);
+    let shortDescription = firstSentenceMatch ? firstSentenceMatch[0].trim() : extract.split('\n')[0].trim();
+
+    const maxLength = 250;
+    if (shortDescription.length > maxLength) {
+        shortDescription = shortDescription.substring(0, maxLength).trim();
+        const lastSpace = shortDescription.lastIndexOf(' ');
+        if (lastSpace > 0) {
+            shortDescription = shortDescription.substring(0, lastSpace);
+        }
+        shortDescription += '...';
+    }
+    return shortDescription;
+};
 
 /**
  * Fetches Wikipedia description for a query using search, then extract.
- * Returns an object { description: string, title: string } or null.
+ * Returns an object { description: string, title: string, wikidataId: string|null, coordinates: { lat, lon }|null } or null.
  * This method is more robust for finding pages with variations in names.
  * @param {string} query - The search query for Wikipedia (e.g., city name).
- * @returns {object|null} - Object containing description and title, or null if not found/error.
+ * @param {string} [lang='en'] - Wikipedia language edition to search.
+ * @returns {object|null} - Object containing description and title, or null if not found.
+ * @throws {Error} - If Wikipedia could not be reached (after retries) or its circuit is open.
  */
-const fetchCityDescription = async (query) => {
-    const cacheKey = `wiki_desc_search_${query}`; // New cache key to reflect search-based lookup
-    let cachedData = cache.get(cacheKey);
+const fetchCityDescription = async (query, lang = DEFAULT_LANGUAGE) => {
+    const cacheKey = `wiki_search_${lang}_${query}`;
+    const wikipediaClient = getWikipediaClient(lang);
+    let cachedData = await cache.get(cacheKey);
 
     if (cachedData) {
         return cachedData;
@@ -21,7 +74,7 @@ const fetchCityDescription = async (query) => {
 
     try {
         // Step 1: Perform a search query to find the most relevant page title
-        const searchResponse = await axios.get(WIKIPEDIA_API_URL, {
+        const searchResponse = await limitWikipediaCall(() => wikipediaClient.get('', {
             params: {
                 action: 'query',
                 list: 'search', // Use the search module
@@ -29,12 +82,9 @@ const fetchCityDescription = async (query) => {
                 srlimit: 1, // Get only the top result
                 format: 'json',
             },
-            headers: {
-                'User-Agent': 'UrbanAirQualityInsightsAPI/1.0 (contact@example.com) NodeJS',
-            }
-        });
+        }));
 
-        const searchResults = searchResponse.data.query.search;
+        const searchResults = searchResponse.data.query && searchResponse.data.query.search;
         if (!searchResults || searchResults.length === 0) {
             return null; // No search results found
         }
@@ -42,20 +92,19 @@ const fetchCityDescription = async (query) => {
         const pageTitle = searchResults[0].title; // Get the title of the top search result
 
         // Step 2: Fetch the extract using the found page title
-        const extractResponse = await axios.get(WIKIPEDIA_API_URL, {
+        const extractResponse = await limitWikipediaCall(() => wikipediaClient.get('', {
             params: {
                 action: 'query',
-                prop: 'extracts',
+                prop: 'extracts|pageprops|coordinates',
                 exintro: true,
                 explaintext: true,
+                ppprop: 'wikibase_item', // Links the page to its Wikidata item for classification
+                coprimary: 'primary',
                 redirects: 1,
                 format: 'json',
                 titles: pageTitle,
             },
-            headers: {
-                'User-Agent': 'UrbanAirQualityInsightsAPI/1.0 (contact@example.com) NodeJS',
-            }
-        });
+        }));
 
         const pages = extractResponse.data.query.pages;
         const pageId = Object.keys(pages)[0];
@@ -63,30 +112,83 @@ const fetchCityDescription = async (query) => {
         const title = pages[pageId].title;
 
         if (extract && !pages[pageId].missing && title) {
-            const firstSentenceMatch = extract.match(/^(.+?([.?!]|\n)\s)/);
-            let shortDescription = firstSentenceMatch ? firstSentenceMatch[0].trim() : extract.split('\n')[0].trim();
-
-            const maxLength = 250;
-            if (shortDescription.length > maxLength) {
-                shortDescription = shortDescription.substring(0, maxLength).trim();
-                const lastSpace = shortDescription.lastIndexOf(' ');
-                if (lastSpace > 0) {
-                    shortDescription = shortDescription.substring(0, lastSpace);
-                }
-                shortDescription += '...';
-            }
-
-            const result = { description: shortDescription, title: title };
-            cache.set(cacheKey, result, WIKIPEDIA_CACHE_TTL);
+            const shortDescription = summarizeExtract(extract);
+
+            const pageProps = pages[pageId].pageprops;
+            const primaryCoordinates = Array.isArray(pages[pageId].coordinates) ? pages[pageId].coordinates[0] : null;
+            const result = {
+                description: shortDescription,
+                title: title,
+                wikidataId: pageProps && pageProps.wikibase_item ? pageProps.wikibase_item : null,
+                coordinates: primaryCoordinates ? { lat: primaryCoordinates.lat, lon: primaryCoordinates.lon } : null,
+            };
+            await cache.set(cacheKey, result);
             return result;
         }
         return null;
     } catch (error) {
-        console.error(`Error fetching Wikipedia description for "${query}" via search:`, error.message);
+        logger.error(`Error fetching ${lang} Wikipedia description for "${query}" via search`, { error: error.message });
+        throw error;
+    }
+};
+
+/**
+ * Fetches the full details of a Wikipedia page: the complete intro extract, canonical title and URL,
+ * page ID, thumbnail, coordinates and the linked Wikidata item. Uses cache.
+ * @param {string} title - The Wikipedia page title (e.g., 'Kraków').
+ * @param {string} [lang='en'] - Wikipedia language edition the title belongs to.
+ * @returns {object|null} - Page details, or null if the page does not exist.
+ * @throws {Error} - If Wikipedia could not be reached (after retries) or its circuit is open.
+ */
+const fetchPageDetails = async (title, lang = DEFAULT_LANGUAGE) => {
+    const cacheKey = `wiki_page_${lang}_${title}`;
+    const wikipediaClient = getWikipediaClient(lang);
+    const cachedDetails = await cache.get(cacheKey);
+    if (cachedDetails) {
+        return cachedDetails;
+    }
+
+    const response = await limitWikipediaCall(() => wikipediaClient.get('', {
+        params: {
+            action: 'query',
+            prop: 'extracts|pageimages|coordinates|pageprops|info',
+            exintro: true,
+            explaintext: true,
+            piprop: 'thumbnail',
+            pithumbsize: 640,
+            ppprop: 'wikibase_item',
+            inprop: 'url',
+            redirects: 1,
+            format: 'json',
+            titles: title,
+        },
+    }));
+
+    const pages = response.data.query && response.data.query.pages;
+    const page = pages ? pages[Object.keys(pages)[0]] : null;
+    if (!page || page.missing !== undefined) {
         return null;
     }
+
+    const primaryCoordinates = (page.coordinates || []).find(coordinate => coordinate.primary !== undefined) || (page.coordinates || [])[0];
+    const details = {
+        title: page.title,
+        pageId: page.pageid,
+        url: page.fullurl || null,
+        extract: page.extract || null,
+        thumbnail: page.thumbnail ? { url: page.thumbnail.source, width: page.thumbnail.width, height: page.thumbnail.height } : null,
+        coordinates: primaryCoordinates ? { lat: primaryCoordinates.lat, lon: primaryCoordinates.lon } : null,
+        wikidataId: page.pageprops && page.pageprops.wikibase_item ? page.pageprops.wikibase_item : null,
+        language: lang,
+    };
+
+    await cache.set(cacheKey, details);
+    return details;
 };
 
 module.exports = {
+    DEFAULT_LANGUAGE,
+    summarizeExtract,
     fetchCityDescription,
+    fetchPageDetails,
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(process.env, {
+    CACHE_BACKEND: 'memory',
+    LOG_LEVEL: 'error',
+});
+
+const { getCache } = require('../utils/cache');
+
+const cache = getCache('pollution');
+
+/**
+ * A fetcher whose calls stay pending until released, to interleave them with invalidations.
+ */
+const createGatedFetcher = () => {
+    const calls = [];
+    const fetcher = () => new Promise(resolve => calls.push(resolve));
+    fetcher.calls = calls;
+    return fetcher;
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('NamespacedCache refresh and invalidation', () => {
+    beforeEach(async () => {
+        await cache.invalidate();
+    });
+
+    it('shares one fetch between concurrent refreshes of a key', async () => {
+        const fetcher = createGatedFetcher();
+        const first = cache.refresh('pollutedCitiesData_PL_en', fetcher, { ttl: 60 });
+        const second = cache.refresh('pollutedCitiesData_PL_en', fetcher, { ttl: 60 });
+        await tick();
+        fetcher.calls[0]('v1');
+
+        assert.deepEqual(await Promise.all([first, second]), ['v1', 'v1']);
+        assert.equal(fetcher.calls.length, 1);
+        assert.equal((await cache.getOrRefresh('pollutedCitiesData_PL_en', fetcher)).status, 'fresh');
+    });
+
+    it('does not store a refresh that was running when its key was invalidated', async () => {
+        const fetcher = createGatedFetcher();
+        const before = cache.getOrRefresh('pollutedCitiesData_PL_en', fetcher, { ttl: 60 });
+        await tick();
+
+        await cache.invalidate('pollutedCitiesData_PL_');
+        // A caller arriving after the invalidation starts its own build instead of joining the old one.
+        const after = cache.getOrRefresh('pollutedCitiesData_PL_en', fetcher, { ttl: 60 });
+        await tick();
+        assert.equal(fetcher.calls.length, 2);
+
+        fetcher.calls[1]('built after the change');
+        fetcher.calls[0]('built before the change');
+        assert.equal((await before).value, 'built before the change');
+        assert.equal((await after).value, 'built after the change');
+        assert.equal((await cache.get('pollutedCitiesData_PL_en')).value, 'built after the change');
+    });
+
+    it('does not store an invalidated refresh even when no other caller replaced it', async () => {
+        const fetcher = createGatedFetcher();
+        const pending = cache.refresh('pollutedCitiesData_PL_en', fetcher, { ttl: 60 });
+        await tick();
+        await cache.invalidate('pollutedCitiesData_PL_');
+        fetcher.calls[0]('stale');
+
+        assert.equal(await pending, 'stale');
+        assert.equal(await cache.get('pollutedCitiesData_PL_en'), undefined);
+    });
+
+    it('leaves refreshes of other keys alone', async () => {
+        const fetcher = createGatedFetcher();
+        const pending = cache.refresh('pollutedCitiesData_DE_en', fetcher, { ttl: 60 });
+        await tick();
+        await cache.invalidate('pollutedCitiesData_PL_');
+        fetcher.calls[0]('german');
+
+        assert.equal(await pending, 'german');
+        assert.equal((await cache.get('pollutedCitiesData_DE_en')).value, 'german');
+    });
+});
@@ -0,0 +1,317 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uaq-test-'));
+// The modules read their configuration when first required, so the environment is set up before that.
+Object.assign(process.env, {
+    REDIS_COMMAND_TIMEOUT_MS: '200',
+    LOG_LEVEL: 'error',
+});
+
+const { createFileBackend } = require('../utils/cacheBackends/file');
+const { createRedisBackend } = require('../utils/cacheBackends/redis');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('file cache backend', () => {
+    let filePath;
+    let backend;
+
+    beforeEach(async () => {
+        if (backend) {
+            await backend.close();
+        }
+        filePath = path.join(fs.mkdtempSync(path.join(tempDir, 'file-')), 'cache', 'wiki.json');
+        backend = createFileBackend({ filePath });
+    });
+
+    after(async () => {
+        await backend.close();
+    });
+
+    it('gets, sets and deletes entries', async () => {
+        assert.equal(await backend.get('missing'), undefined);
+        await backend.set('city:PL:Warsaw', { title: 'Warsaw' }, 60);
+        assert.deepEqual(await backend.get('city:PL:Warsaw'), { title: 'Warsaw' });
+        await backend.del('city:PL:Warsaw');
+        assert.equal(await backend.get('city:PL:Warsaw'), undefined);
+    });
+
+    it('expires entries after their TTL; 0 never expires', async () => {
+        await backend.set('short', 1, 0.02);
+        await backend.set('forever', 2, 0);
+        assert.equal(await backend.get('short'), 1);
+        await sleep(40);
+        assert.equal(await backend.get('short'), undefined);
+        assert.equal(await backend.get('forever'), 2);
+    });
+
+    it('lists unexpired keys by prefix', async () => {
+        await backend.set('city:PL:Warsaw', 1, 60);
+        await backend.set('city:PL:Kraków', 2, 60);
+        await backend.set('city:DE:Berlin', 3, 60);
+        await backend.set('city:PL:Radom', 4, 0.01);
+        await sleep(20);
+        assert.deepEqual((await backend.keys('city:PL:')).sort(), ['city:PL:Kraków', 'city:PL:Warsaw']);
+    });
+
+    it('debounces writes and flushes them on close', async () => {
+        await backend.set('a', 1, 60);
+        await backend.set('b', 2, 60);
+        assert.equal(fs.existsSync(filePath), false, 'nothing is written before the flush delay');
+
+        await backend.close();
+        assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8'))).sort(), ['a', 'b']);
+        assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['wiki.json'], 'no temp file is left behind');
+    });
+
+    it('reloads persisted entries on start, except expired ones', async () => {
+        await backend.set('kept', { value: 'x' }, 60);
+        await backend.set('expiring', 'y', 0.02);
+        await backend.close();
+        await sleep(40);
+
+        backend = createFileBackend({ filePath });
+        assert.deepEqual(await backend.get('kept'), { value: 'x' });
+        assert.equal(await backend.get('expiring'), undefined);
+        assert.deepEqual(await backend.keys(''), ['kept']);
+    });
+
+    it('starts empty when the file is unreadable', async () => {
+        await backend.close();
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, '{ not json');
+
+        backend = createFileBackend({ filePath });
+        assert.deepEqual(await backend.keys(''), []);
+    });
+});
+
+/**
+ * A small RESP server standing in for Redis: GET, SET (with EX), DEL, SCAN (MATCH with a trailing `*`),
+ * AUTH (against `password`) and SELECT (databases 0-15). `clockOffsetMs` moves its clock forward to expire keys;
+ * `faults` maps a key to what a GET of it does instead: 'hang' (no reply), 'drop' (close the connection) or 'error'
+ * (an error reply).
+ */
+const createRedisStub = () => {
+    const data = new Map(); // key -> { value, expiresAt }
+    const stub = { commands: [], connections: 0, clockOffsetMs: 0, faults: new Map(), sockets: new Set(), password: 's3cret' };
+
+    const now = () => Date.now() + stub.clockOffsetMs;
+    const bulk = (value) => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+    const array = (items) => `*${items.length}\r\n${items.join('')}`;
+    const live = (key) => {
+        const entry = data.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= now()) {
+            data.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+    const matches = (key, pattern) => {
+        const literal = pattern.endsWith('*') && !pattern.endsWith('\\*') ? pattern.slice(0, -1) : pattern;
+        const unescaped = literal.replace(/\\(.)/g, '$1');
+        return literal === pattern ? key === unescaped : key.startsWith(unescaped);
+    };
+
+    const execute = (socket, [name, ...args]) => {
+        stub.commands.push([name.toUpperCase(), ...args]);
+        if (name.toUpperCase() !== 'AUTH' && !socket.authenticated) {
+            return '-NOAUTH Authentication required.\r\n';
+        }
+        switch (name.toUpperCase()) {
+            case 'AUTH':
+                if (args[args.length - 1] !== stub.password) {
+                    return '-WRONGPASS invalid username-password pair or user is disabled.\r\n';
+                }
+                socket.authenticated = true;
+                return '+OK\r\n';
+            case 'SELECT':
+                return Number(args[0]) < 16 ? '+OK\r\n' : '-ERR DB index is out of range\r\n';
+            case 'GET': {
+                const fault = stub.faults.get(args[0]);
+                if (fault === 'hang') {
+                    return '';
+                }
+                if (fault === 'drop') {
+                    socket.destroy();
+                    return '';
+                }
+                if (fault === 'error') {
+                    return '-WRONGTYPE Operation against a key holding the wrong kind of value\r\n';
+                }
+                const entry = live(args[0]);
+                return bulk(entry ? entry.value : null);
+            }
+            case 'SET': {
+                const exIndex = args.findIndex(arg => arg.toUpperCase() === 'EX');
+                data.set(args[0], { value: args[1], expiresAt: exIndex === -1 ? null : now() + Number(args[exIndex + 1]) * 1000 });
+                return '+OK\r\n';
+            }
+            case 'DEL':
+                return `:${data.delete(args[0]) ? 1 : 0}\r\n`;
+            case 'SCAN': {
+                // One key per call, so the client has to follow the cursor.
+                const keys = Array.from(data.keys()).filter(key => live(key) && matches(key, args[2]));
+                const cursor = Number(args[0]);
+                const nextCursor = cursor + 1 < keys.length ? String(cursor + 1) : '0';
+                return array([bulk(nextCursor), array(keys.slice(cursor, cursor + 1).map(bulk))]);
+            }
+            default:
+                return `-ERR unknown command '${name}'\r\n`;
+        }
+    };
+
+    // Parses complete RESP arrays of bulk strings off the front of the buffer.
+    const takeCommands = (buffer) => {
+        const commands = [];
+        let offset = 0;
+        for (;;) {
+            const header = buffer.indexOf('\r\n', offset);
+            if (header === -1) {
+                break;
+            }
+            const count = parseInt(buffer.toString('utf8', offset + 1, header), 10);
+            const args = [];
+            let cursor = header + 2;
+            for (let i = 0; i < count; i++) {
+                const lineEnd = buffer.indexOf('\r\n', cursor);
+                const length = lineEnd === -1 ? NaN : parseInt(buffer.toString('utf8', cursor + 1, lineEnd), 10);
+                if (isNaN(length) || buffer.length < lineEnd + 2 + length + 2) {
+                    return { commands, rest: buffer.subarray(offset) };
+                }
+                args.push(buffer.toString('utf8', lineEnd + 2, lineEnd + 2 + length));
+                cursor = lineEnd + 2 + length + 2;
+            }
+            commands.push(args);
+            offset = cursor;
+        }
+        return { commands, rest: buffer.subarray(offset) };
+    };
+
+    stub.server = net.createServer((socket) => {
+        stub.connections++;
+        stub.sockets.add(socket);
+        socket.on('close', () => stub.sockets.delete(socket));
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            const { commands, rest } = takeCommands(Buffer.concat([buffer, chunk]));
+            buffer = rest;
+            commands.forEach(command => {
+                const reply = execute(socket, command);
+                if (reply && !socket.destroyed) {
+                    socket.write(reply);
+                }
+            });
+        });
+        socket.on('error', () => {});
+    });
+    stub.disconnectAll = () => stub.sockets.forEach(socket => socket.destroy());
+    return stub;
+};
+
+describe('Redis cache backend (RESP client)', () => {
+    const stub = createRedisStub();
+    let port;
+    let backend;
+
+    before(async () => {
+        await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+        port = stub.server.address().port;
+        backend = createRedisBackend({ url: `redis://:s3cret@127.0.0.1:${port}/2` });
+    });
+
+    after(async () => {
+        await backend.close();
+        stub.disconnectAll();
+        stub.server.close();
+    });
+
+    it('authenticates and selects the database before the first command', async () => {
+        await backend.get('anything');
+        assert.deepEqual(stub.commands.slice(0, 3), [['AUTH', 's3cret'], ['SELECT', '2'], ['GET', 'anything']]);
+    });
+
+    it('gets, sets and deletes JSON values', async () => {
+        assert.equal(await backend.get('uaq:wiki:missing'), undefined);
+        await backend.set('uaq:wiki:Warsaw', { title: 'Warsaw', languages: ['en', 'pl'] }, 0);
+        assert.deepEqual(await backend.get('uaq:wiki:Warsaw'), { title: 'Warsaw', languages: ['en', 'pl'] });
+        await backend.del('uaq:wiki:Warsaw');
+        assert.equal(await backend.get('uaq:wiki:Warsaw'), undefined);
+    });
+
+    it('stores TTLs as key expiry, rounded up to whole seconds', async () => {
+        await backend.set('uaq:auth:token', 'abc', 1.2);
+        assert.deepEqual(stub.commands[stub.commands.length - 1], ['SET', 'uaq:auth:token', '"abc"', 'EX', '2']);
+        assert.equal(await backend.get('uaq:auth:token'), 'abc');
+
+        stub.clockOffsetMs += 2000;
+        assert.equal(await backend.get('uaq:auth:token'), undefined);
+    });
+
+    it('follows the SCAN cursor and escapes glob characters in the prefix', async () => {
+        await backend.set('uaq:wiki:city:PL:Warsaw', 1, 0);
+        await backend.set('uaq:wiki:city:PL:Kraków', 2, 0);
+        await backend.set('uaq:wiki:city:DE:Berlin', 3, 0);
+        await backend.set('uaq:wiki:odd*key', 4, 0);
+        await backend.set('uaq:wiki:odd-other', 5, 0);
+
+        assert.deepEqual((await backend.keys('uaq:wiki:city:PL:')).sort(), ['uaq:wiki:city:PL:Kraków', 'uaq:wiki:city:PL:Warsaw']);
+        assert.deepEqual(await backend.keys('uaq:wiki:odd*'), ['uaq:wiki:odd*key']);
+        assert.deepEqual(stub.commands[stub.commands.length - 1].slice(2, 4), ['MATCH', 'uaq:wiki:odd\\**']);
+    });
+
+    it('rejects on an error reply and keeps the connection', async () => {
+        const connectionsBefore = stub.connections;
+        stub.faults.set('uaq:wiki:wrong-type', 'error');
+        await assert.rejects(backend.get('uaq:wiki:wrong-type'), /^Error: WRONGTYPE/);
+        await backend.set('uaq:wiki:after-error', 'ok', 0);
+        assert.equal(await backend.get('uaq:wiki:after-error'), 'ok');
+        assert.equal(stub.connections, connectionsBefore);
+    });
+
+    it('times out a command that gets no reply and reconnects for the next one', async () => {
+        const connectionsBefore = stub.connections;
+        stub.faults.set('uaq:wiki:slow', 'hang');
+        await assert.rejects(backend.get('uaq:wiki:slow'), /timed out after 200ms/);
+
+        await backend.set('uaq:wiki:after-timeout', 'ok', 0);
+        assert.equal(await backend.get('uaq:wiki:after-timeout'), 'ok');
+        assert.equal(stub.connections, connectionsBefore + 1);
+    });
+
+    it('fails pending commands when the server drops the connection, then reconnects and authenticates again', async () => {
+        const connectionsBefore = stub.connections;
+        stub.faults.set('uaq:wiki:drop', 'drop');
+        await assert.rejects(backend.get('uaq:wiki:drop'), /closed/);
+
+        stub.commands.length = 0;
+        await backend.set('uaq:wiki:after-drop', 'ok', 0);
+        assert.equal(await backend.get('uaq:wiki:after-drop'), 'ok');
+        assert.equal(stub.connections, connectionsBefore + 1);
+        assert.deepEqual(stub.commands.slice(0, 2), [['AUTH', 's3cret'], ['SELECT', '2']]);
+    });
+
+    it('fails the connection and the commands queued behind a rejected AUTH or SELECT', async () => {
+        const wrongPassword = createRedisBackend({ url: `redis://:wrong@127.0.0.1:${port}/2` });
+        const connectionsBefore = stub.connections;
+        await assert.rejects(wrongPassword.get('uaq:wiki:Warsaw'), /^Error: Redis AUTH failed: WRONGPASS/);
+        await assert.rejects(wrongPassword.get('uaq:wiki:Warsaw'), /AUTH failed/);
+        assert.equal(stub.connections, connectionsBefore + 2, 'each command gets a fresh connection');
+
+        const wrongDatabase = createRedisBackend({ url: `redis://:s3cret@127.0.0.1:${port}/99` });
+        await backend.set('uaq:wiki:in-db-2', 'ok', 0);
+        await assert.rejects(wrongDatabase.get('uaq:wiki:in-db-2'), /^Error: Redis SELECT failed: ERR DB index is out of range/);
+    });
+
+    it('reconnects after the server restarts', async () => {
+        stub.disconnectAll();
+        await sleep(20);
+        await backend.set('uaq:wiki:after-restart', 'ok', 0);
+        assert.equal(await backend.get('uaq:wiki:after-restart'), 'ok');
+    });
+});
@@ -0,0 +1,157 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+
+const { classifyCandidate } = require('../services/classifier.service');
+
+const POLAND = 'Q36';
+const UNITED_STATES = 'Q30';
+
+// Entity facts by item ID, shaped like wikidataService.fetchEntityFacts returns them.
+const ENTITIES = {
+    Q270: { id: 'Q270', instanceOf: ['Q1549591', 'Q5119'], subclassOf: [], countries: [POLAND] }, // Warsaw: big city, capital
+    Q31487: { id: 'Q31487', instanceOf: ['Q925381'], subclassOf: [], countries: [POLAND] }, // Kraków: city with powiat rights
+    Q925381: { id: 'Q925381', instanceOf: [], subclassOf: ['Q515'], countries: [] },
+    Q1234: { id: 'Q1234', instanceOf: ['Q900001'], subclassOf: [], countries: [POLAND] }, // Three levels below "city"
+    Q900001: { id: 'Q900001', instanceOf: [], subclassOf: ['Q900002'], countries: [] },
+    Q900002: { id: 'Q900002', instanceOf: [], subclassOf: ['Q900003'], countries: [] },
+    Q900003: { id: 'Q900003', instanceOf: [], subclassOf: ['Q515'], countries: [] },
+    Q5678: { id: 'Q5678', instanceOf: ['Q900010'], subclassOf: [], countries: [POLAND] }, // Classes that subclass each other
+    Q900010: { id: 'Q900010', instanceOf: [], subclassOf: ['Q900011'], countries: [] },
+    Q900011: { id: 'Q900011', instanceOf: [], subclassOf: ['Q900010'], countries: [] },
+    Q857085: { id: 'Q857085', instanceOf: ['Q159719'], subclassOf: [], countries: [POLAND] }, // Bełchatów Power Station
+    Q159719: { id: 'Q159719', instanceOf: [], subclassOf: ['Q1497375'], countries: [] }, // power station
+    Q1497375: { id: 'Q1497375', instanceOf: [], subclassOf: [], countries: [] },
+    Q28515: { id: 'Q28515', instanceOf: ['Q515'], subclassOf: [], countries: [UNITED_STATES] }, // Springfield, Illinois
+    Q4000: { id: 'Q4000', instanceOf: ['Q3957'], subclassOf: [], countries: [] }, // A town without "country"
+};
+
+/**
+ * A stand-in for wikidataService.fetchEntityFacts that answers from ENTITIES and records the IDs it was asked for.
+ */
+const createFetchFacts = (entities = ENTITIES) => {
+    const fetchFacts = async (id) => {
+        fetchFacts.calls.push(id);
+        return entities[id] || null;
+    };
+    fetchFacts.calls = [];
+    return fetchFacts;
+};
+
+const classify = (name, candidate, fetchFacts = createFetchFacts(), countryCode = 'PL') => classifyCandidate({
+    candidate: { description: '', ...candidate },
+    query: `${name}, ${countryCode}`,
+    originalName: name,
+    lookupName: name,
+    countryCode: countryCode,
+}, { fetchFacts });
+
+describe('classifyCandidate with Wikidata facts', () => {
+    it('accepts an instance of a settlement class in the requested country', async () => {
+        const decision = await classify('Warsaw', { title: 'Warsaw', wikidataId: 'Q270' });
+        assert.deepEqual(
+            { accepted: decision.accepted, rule: decision.rule, source: decision.source },
+            { accepted: true, rule: 'wikidata-settlement', source: 'wikidata' }
+        );
+        assert.equal(decision.checks.settlementType, 'Q1549591');
+        assert.deepEqual(decision.checks.countries, [POLAND]);
+        assert.equal(decision.checks.expectedCountry, POLAND);
+        assert.equal(decision.query, 'Warsaw, PL');
+    });
+
+    it('walks "subclass of" (P279) from the item\'s classes', async () => {
+        const fetchFacts = createFetchFacts();
+        const decision = await classify('Kraków', { title: 'Kraków', wikidataId: 'Q31487' }, fetchFacts);
+        assert.equal(decision.rule, 'wikidata-settlement');
+        assert.equal(decision.checks.settlementType, 'Q515');
+        assert.deepEqual(fetchFacts.calls, ['Q31487', 'Q925381']);
+    });
+
+    it('stops walking after two levels of subclasses', async () => {
+        const fetchFacts = createFetchFacts();
+        const decision = await classify('Somewhere', { title: 'Somewhere', wikidataId: 'Q1234' }, fetchFacts);
+        assert.equal(decision.rule, 'wikidata-not-settlement');
+        assert.deepEqual(fetchFacts.calls, ['Q1234', 'Q900001', 'Q900002']);
+    });
+
+    it('does not loop on classes that subclass each other', async () => {
+        const fetchFacts = createFetchFacts();
+        const decision = await classify('Loop', { title: 'Loop', wikidataId: 'Q5678' }, fetchFacts);
+        assert.equal(decision.rule, 'wikidata-not-settlement');
+        assert.deepEqual(fetchFacts.calls, ['Q5678', 'Q900010', 'Q900011']);
+    });
+
+    it('rejects an item that is not a settlement, whatever its text says', async () => {
+        const decision = await classify('Bełchatów Power Station', {
+            title: 'Bełchatów Power Station',
+            description: 'Bełchatów Power Station is a lignite-fired power station near Bełchatów, a city in Poland.',
+            wikidataId: 'Q857085',
+        });
+        assert.equal(decision.accepted, false);
+        assert.equal(decision.rule, 'wikidata-not-settlement');
+        assert.equal(decision.checks.settlementType, null);
+    });
+
+    it('rejects a settlement whose country (P17) is not the requested one', async () => {
+        const decision = await classify('Springfield', { title: 'Springfield, Illinois', wikidataId: 'Q28515' });
+        assert.equal(decision.accepted, false);
+        assert.equal(decision.rule, 'wikidata-country-mismatch');
+        assert.deepEqual(decision.checks.countries, [UNITED_STATES]);
+    });
+
+    it('falls back to the text for the country when the item has none', async () => {
+        const mentioned = await classify('Townsville', {
+            title: 'Townsville',
+            description: 'Townsville is a town in southern Poland.',
+            wikidataId: 'Q4000',
+        });
+        assert.deepEqual([mentioned.accepted, mentioned.rule], [true, 'wikidata-settlement-text-country']);
+
+        const unmentioned = await classify('Townsville', { title: 'Townsville', description: 'Townsville is a town.', wikidataId: 'Q4000' });
+        assert.deepEqual([unmentioned.accepted, unmentioned.rule], [false, 'wikidata-country-unknown']);
+    });
+});
+
+describe('classifyCandidate without Wikidata facts', () => {
+    it('rejects a page that is not about the queried name before looking anything up', async () => {
+        const fetchFacts = createFetchFacts();
+        const decision = await classify('Radom', { title: 'Elektrownia Bełchatów', wikidataId: 'Q857085' }, fetchFacts);
+        assert.deepEqual([decision.accepted, decision.rule, decision.source], [false, 'name-mismatch', 'query']);
+        assert.deepEqual(fetchFacts.calls, []);
+    });
+
+    it('uses the keyword heuristic for a page without a Wikidata item', async () => {
+        const city = await classify('Radom', { title: 'Radom', description: 'Radom is a city in east-central Poland.' });
+        assert.deepEqual([city.accepted, city.rule, city.checks.fallbackReason], [true, 'keyword-heuristic', 'no-wikidata-item']);
+
+        const facility = await classify('Radom', { title: 'Radom Airport', description: 'Radom Airport is a facility in Poland.' });
+        assert.deepEqual([facility.accepted, facility.rule, facility.checks.strongNegativeMatch], [false, 'keyword-negative-match', 'facility']);
+
+        const elsewhere = await classify('Radom', { title: 'Radom, Illinois', description: 'Radom is a village in Illinois.' });
+        assert.deepEqual([elsewhere.accepted, elsewhere.rule], [false, 'keyword-country-irrelevant']);
+    });
+
+    it('uses the keyword heuristic when the Wikidata item cannot be loaded', async () => {
+        const candidate = { title: 'Radom', description: 'Radom is a city in east-central Poland.', wikidataId: 'Q999999' };
+
+        const missing = await classify('Radom', candidate);
+        assert.deepEqual([missing.rule, missing.checks.fallbackReason], ['keyword-heuristic', 'wikidata-item-missing']);
+
+        const unavailable = await classify('Radom', candidate, async () => {
+            throw new Error('socket hang up');
+        });
+        assert.deepEqual([unavailable.rule, unavailable.checks.fallbackReason], ['keyword-heuristic', 'wikidata-unavailable']);
+    });
+
+    it('uses the keyword heuristic when a class lookup fails halfway', async () => {
+        const fetchFacts = async (id) => {
+            if (id !== 'Q31487') {
+                throw new Error('timeout of 10000ms exceeded');
+            }
+            return ENTITIES[id];
+        };
+        const decision = await classify('Kraków', { title: 'Kraków', description: 'Kraków is a city in southern Poland.', wikidataId: 'Q31487' }, fetchFacts);
+        assert.deepEqual([decision.rule, decision.checks.fallbackReason], ['keyword-heuristic', 'wikidata-unavailable']);
+    });
+});
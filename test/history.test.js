@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uaq-test-'));
+Object.assign(process.env, {
+    HISTORY_DIR: tempDir,
+    LOG_LEVEL: 'error',
+});
+
+const historyService = require('../services/history.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const range = { from: 0, to: Date.now() + DAY_MS, interval: 'raw' };
+
+describe('city history keys', () => {
+    it('finds readings of a city with a descriptor by its cleaned name, as URLs give it', async () => {
+        await historyService.recordReadings([{ name: 'Warsaw (Zone)', country: 'PL', pollution: 42 }], new Date().toISOString());
+
+        for (const name of ['Warsaw', 'warsaw', 'Warsaw (Zone)']) {
+            const history = await historyService.getCityHistory('PL', name, range);
+            assert.ok(history, name);
+            assert.equal(history.name, 'Warsaw (Zone)');
+            assert.deepEqual(history.points.map(point => point.avg), [42]);
+        }
+        assert.equal(await historyService.getCityHistory('PL', 'Wars', range), null);
+    });
+
+    it('still finds lines stored under the raw upstream name', async () => {
+        const line = { t: Date.now() - DAY_MS, name: 'Łódź (Centrum)', key: 'lodz (centrum)', pollution: 30 };
+        fs.writeFileSync(path.join(tempDir, 'DE.ndjson'), `${JSON.stringify(line)}\n`);
+
+        const history = await historyService.getCityHistory('DE', 'Lodz', range);
+        assert.deepEqual(history.points.map(point => point.avg), [30]);
+    });
+});
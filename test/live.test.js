@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uaq-test-'));
+// The modules read their configuration when first required, so the environment is set up before that.
+Object.assign(process.env, {
+    API_KEYS_FILE: path.join(tempDir, 'apiKeys.json'),
+    CACHE_BACKEND: 'memory',
+    OVERRIDES_FILE: path.join(tempDir, 'overrides.json'),
+    OVERRIDES_AUDIT_LOG: path.join(tempDir, 'overrides-audit.ndjson'),
+    HISTORY_DIR: path.join(tempDir, 'history'),
+    LOG_LEVEL: 'error',
+});
+
+const app = require('../app');
+const apiKeyService = require('../services/apiKey.service');
+const citiesService = require('../services/cities.service');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let server;
+let baseUrl;
+let key;
+let clientId;
+
+before(async () => {
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    ({ key, id: clientId } = apiKeyService.createApiKey({ name: 'wallboard' }));
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+const streamRequests = () => {
+    const [usage] = apiKeyService.getUsage(clientId);
+    return usage.byEndpoint['GET /cities/stream'] || 0;
+};
+
+describe('SSE live updates', () => {
+    it('ends the stream with an error event when the dataset cannot be loaded', async (t) => {
+        t.mock.method(citiesService, 'getCitiesDataset', async () => {
+            throw new Error('Failed to fetch pollution data from API.');
+        });
+
+        const response = await fetch(`${baseUrl}/cities/stream`, { headers: { 'X-API-Key': key } });
+        const text = await response.text(); // Resolves only once the server ends the stream
+
+        assert.match(text, /^retry: \d+\n\n/);
+        assert.doesNotMatch(text, /event: snapshot/);
+        const [, data] = text.match(/event: error\ndata: (.*)\n\n$/);
+        assert.equal(JSON.parse(data).code, 'unavailable');
+    });
+
+    it('counts a stream the client closes towards its usage', async (t) => {
+        t.mock.method(citiesService, 'getCitiesDataset', async () => ({
+            dataset: { cities: [{ name: 'Warsaw', country: 'PL', pollution: 40 }], degraded: false },
+        }));
+        const before = streamRequests();
+
+        const controller = new AbortController();
+        const response = await fetch(`${baseUrl}/cities/stream`, { headers: { 'X-API-Key': key }, signal: controller.signal });
+        const reader = response.body.getReader();
+        let text = '';
+        while (!text.includes('event: snapshot')) {
+            text += Buffer.from((await reader.read()).value).toString();
+        }
+        controller.abort();
+        await sleep(50);
+
+        assert.match(text, /"name":"Warsaw"/);
+        assert.equal(streamRequests(), before + 1);
+    });
+});
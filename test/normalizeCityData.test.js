@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the services away from data/ (overrides, history) and quiet.
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uaq-test-'));
+Object.assign(process.env, {
+    CACHE_BACKEND: 'memory',
+    OVERRIDES_FILE: path.join(tempDir, 'overrides.json'),
+    OVERRIDES_AUDIT_LOG: path.join(tempDir, 'overrides-audit.ndjson'),
+    HISTORY_DIR: path.join(tempDir, 'history'),
+    LOG_LEVEL: 'error',
+});
+
+const citiesService = require('../services/cities.service');
+const overrideService = require('../services/override.service');
+
+describe('normalizeCityData', () => {
+    it('accepts a complete entry and keeps the upstream name', () => {
+        assert.deepEqual(citiesService.normalizeCityData({ name: 'Kraków', pollution: 52, country: 'PL' }), {
+            originalName: 'Kraków',
+            lookupName: 'Kraków',
+            country: 'PL',
+            pollution: 52,
+        });
+    });
+
+    it('parses numeric strings as readings', () => {
+        assert.equal(citiesService.normalizeCityData({ name: 'Radom', pollution: '38.5', country: 'PL' }).pollution, 38.5);
+    });
+
+    it('rejects entries without a usable name, country or reading', () => {
+        const invalid = [
+            { pollution: 12, country: 'PL' },
+            { name: '', pollution: 14, country: 'PL' },
+            { name: '   ', pollution: 20, country: 'ES' },
+            { name: 'Warsaw', pollution: 57 },
+            { name: 'Łódź', pollution: 'n/a', country: 'PL' },
+            { name: 'Stuttgart', pollution: null, country: 'DE' },
+            { name: 'Lublin', pollution: -3, country: 'PL' },
+            null,
+        ];
+        invalid.forEach(entry => assert.equal(citiesService.normalizeCityData(entry), null, JSON.stringify(entry)));
+    });
+
+    it('strips parenthesised descriptors and normalises case for the lookup name only', () => {
+        assert.deepEqual(citiesService.normalizeCityData({ name: 'gdańsk (Zone)', pollution: 41, country: 'PL' }), {
+            originalName: 'gdańsk (Zone)',
+            lookupName: 'Gdańsk',
+            country: 'PL',
+            pollution: 41,
+        });
+        assert.equal(citiesService.normalizeCityData({ name: 'BIELSKO-BIAŁA', pollution: 30, country: 'PL' }).lookupName, 'Bielsko-biała');
+        assert.equal(citiesService.normalizeCityData({ name: 'A Coruña', pollution: 12, country: 'ES' }).lookupName, 'A Coruña');
+    });
+
+    it('rejects names that are empty, numeric or a single letter once cleaned', () => {
+        ['(Zone)', '12345', 'X (Station)'].forEach(name =>
+            assert.equal(citiesService.normalizeCityData({ name, pollution: 10, country: 'PL' }), null, name));
+    });
+
+    it('reports an admin alias under its canonical name', () => {
+        overrideService.setAlias('PL', 'Warszawa', { canonical: 'Warsaw' }, 'test');
+        assert.deepEqual(citiesService.normalizeCityData({ name: 'Warszawa', pollution: 57, country: 'PL' }), {
+            originalName: 'Warsaw',
+            lookupName: 'Warsaw',
+            aliasOf: 'Warszawa',
+            country: 'PL',
+            pollution: 57,
+        });
+        overrideService.deleteAlias('PL', 'Warszawa', 'test');
+    });
+});
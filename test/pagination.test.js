@@ -0,0 +1,172 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PAGE_LIMIT = 3;
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uaq-test-'));
+// The modules read their configuration when first required, so the environment is set up before that.
+Object.assign(process.env, {
+    POLLUTION_API_USERNAME: 'testuser',
+    POLLUTION_API_PASSWORD: 'testpass',
+    POLLUTION_API_PAGE_LIMIT: String(PAGE_LIMIT),
+    UPSTREAM_MODE: 'live',
+    UPSTREAM_RETRY_BASE_DELAY_MS: '1',
+    UPSTREAM_RETRY_MAX_DELAY_MS: '5',
+    CACHE_BACKEND: 'memory',
+    API_KEYS_FILE: path.join(tempDir, 'apiKeys.json'),
+    OVERRIDES_FILE: path.join(tempDir, 'overrides.json'),
+    HISTORY_DIR: path.join(tempDir, 'history'),
+    LOG_LEVEL: 'error',
+});
+
+const { createMockUpstream } = require('../mock/upstreamServer');
+
+const mock = createMockUpstream();
+let server;
+let pollutionService;
+let authService;
+let getCache;
+let appServer;
+let citiesService;
+let apiKey;
+
+before(async () => {
+    const listening = await mock.listen();
+    server = listening.server;
+    // The mock listens on a free port, which is only known now.
+    process.env.POLLUTION_API_BASE_URL = listening.url;
+    pollutionService = require('../services/pollution.service');
+    authService = require('../services/auth.service');
+    ({ getCache } = require('../utils/cache'));
+
+    citiesService = require('../services/cities.service');
+    const app = require('../app');
+    await new Promise(resolve => {
+        appServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    apiKey = require('../services/apiKey.service').createApiKey({ name: 'pagination' }).key;
+});
+
+after(() => {
+    [server, appServer].forEach(listening => {
+        listening.closeAllConnections();
+        listening.close();
+    });
+});
+
+beforeEach(async () => {
+    mock.reset();
+    await getCache('auth').invalidate();
+});
+
+describe('pollution API pagination', () => {
+    it('walks every page of a country and keeps the upstream order', async () => {
+        const { cities, total, failedSources } = await pollutionService.fetchPollutionData('PL');
+        const requests = mock.stats.pollutionRequests;
+
+        assert.equal(total, 13);
+        assert.deepEqual(failedSources, []);
+        assert.deepEqual(requests.map(request => request.page), [1, 2, 3, 4, 5]);
+        assert.ok(requests.every(request => request.country === 'PL' && request.limit === PAGE_LIMIT));
+        assert.deepEqual(cities.slice(0, 4).map(city => city.name), ['Warsaw', '', 'Kraków', 'Łódź']);
+        assert.equal(cities[cities.length - 1].name, 'Sensor 17 (Zone)');
+        assert.ok(cities.every(city => city.country === 'PL'));
+    });
+
+    it('passes corrupted entries through unchanged for validation downstream', async () => {
+        const { cities } = await pollutionService.fetchPollutionData('PL');
+        assert.ok(cities.some(city => city.name === 'Lublin' && city.pollution === -3));
+        assert.ok(cities.some(city => city.name === undefined && city.pollution === 12));
+    });
+
+    it('fetches every supported country when none is given', async () => {
+        const { cities } = await pollutionService.fetchPollutionData();
+        const countries = new Set(mock.stats.pollutionRequests.map(request => request.country));
+        assert.deepEqual(Array.from(countries).sort(), ['DE', 'ES', 'FR', 'PL']);
+        assert.deepEqual(Array.from(new Set(cities.map(city => city.country))).sort(), ['DE', 'ES', 'FR', 'PL']);
+    });
+
+    it('retries a page that failed with a transient error', async () => {
+        mock.injectFailure({ path: '/pollution', status: 503, times: 2 });
+        const { total, failedSources } = await pollutionService.fetchPollutionData('ES');
+        assert.equal(total, 5);
+        assert.deepEqual(failedSources, []);
+        assert.equal(mock.stats.injectedFailures, 2);
+    });
+
+    it('reports a failed country and still returns the others', async () => {
+        // A 400 is not retried, so exactly one country's first page fails.
+        mock.injectFailure({ path: '/pollution', status: 400, times: 1 });
+        const { cities, failedSources } = await pollutionService.fetchPollutionData();
+        assert.equal(failedSources.length, 1);
+        assert.equal(failedSources[0].source, 'pollution');
+        const returnedCountries = new Set(cities.map(city => city.country));
+        assert.equal(returnedCountries.size, 3);
+        assert.ok(!returnedCountries.has(failedSources[0].country));
+    });
+
+    it('logs in again when the API rejects an expired token', async () => {
+        await pollutionService.fetchPollutionData('FR');
+        assert.equal(mock.stats.logins, 1);
+
+        mock.expireTokens();
+        const { total } = await pollutionService.fetchPollutionData('FR');
+        assert.equal(total, 6);
+        assert.equal(mock.stats.logins, 2);
+    });
+
+    it('fails with a clear error when the login is rejected', async () => {
+        mock.injectFailure({ path: '/auth/login', status: 401 });
+        await assert.rejects(authService.getAuthToken(), /Invalid username or password/);
+    });
+});
+
+describe('/cities pagination', () => {
+    // Seven cities in dataset order (pollution descending); the dataset build itself is stubbed out.
+    const CITIES = [['Katowice', 90], ['Kraków', 80], ['Wrocław', 70], ['Warsaw', 60], ['Łódź', 50], ['Poznań', 40], ['Gdańsk', 30]]
+        .map(([name, pollution]) => ({ name, country: 'PL', pollution, description: `${name} is a city in Poland.` }));
+
+    const getCities = async (t, query) => {
+        t.mock.method(citiesService, 'getCitiesDatasetForCountries', async () => ({
+            dataset: { cities: CITIES, degraded: false, warnings: [], generatedAt: new Date().toISOString() },
+            cacheStatus: 'fresh',
+            ageSeconds: 0,
+        }));
+        const response = await fetch(`http://127.0.0.1:${appServer.address().port}/cities?${new URLSearchParams(query)}`, {
+            headers: { 'X-API-Key': apiKey },
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    const names = (body) => body.cities.map(city => city.name);
+
+    it('reports the totals and whether another page follows', async (t) => {
+        const first = (await getCities(t, { limit: 3 })).body;
+        assert.deepEqual({ page: first.page, limit: first.limit, total: first.total, totalPages: first.totalPages, hasNext: first.hasNext },
+            { page: 1, limit: 3, total: 7, totalPages: 3, hasNext: true });
+        assert.deepEqual(names(first), ['Katowice', 'Kraków', 'Wrocław']);
+
+        const last = (await getCities(t, { limit: 3, page: 3 })).body;
+        assert.deepEqual([last.hasNext, names(last)], [false, ['Gdańsk']]);
+    });
+
+    it('answers a page past the end with no cities rather than an error', async (t) => {
+        const { status, body } = await getCities(t, { limit: 3, page: 4 });
+        assert.equal(status, 200);
+        assert.deepEqual({ total: body.total, totalPages: body.totalPages, hasNext: body.hasNext, cities: body.cities },
+            { total: 7, totalPages: 3, hasNext: false, cities: [] });
+    });
+
+    it('paginates after filtering and sorting', async (t) => {
+        const { body } = await getCities(t, { minPollution: 45, sort: 'name', limit: 2, page: 2 });
+        assert.deepEqual({ total: body.total, totalPages: body.totalPages, hasNext: body.hasNext }, { total: 5, totalPages: 3, hasNext: true });
+        assert.deepEqual(names(body), ['Łódź', 'Warsaw']);
+    });
+
+    it('rejects a page or limit that is not a positive integer', async (t) => {
+        for (const query of [{ page: 0 }, { limit: 0 }, { page: 'two' }]) {
+            assert.equal((await getCities(t, query)).status, 400, JSON.stringify(query));
+        }
+    });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uaq-test-'));
+Object.assign(process.env, {
+    CACHE_BACKEND: 'memory',
+    OVERRIDES_FILE: path.join(tempDir, 'overrides.json'),
+    HISTORY_DIR: path.join(tempDir, 'history'),
+    LOG_LEVEL: 'error',
+});
+
+const citiesService = require('../services/cities.service');
+const countryService = require('../services/country.service');
+const { prewarmDatasets } = require('../services/prewarm.service');
+
+describe('pre-warming', () => {
+    it('rebuilds the default and per-country datasets in every supported language', async (t) => {
+        const refresh = t.mock.method(citiesService, 'refreshCitiesDataset', async (country, lang) => {
+            if (country === 'PL' && lang === 'en') {
+                throw new Error('upstream unavailable'); // A failed build does not stop the run
+            }
+        });
+        await prewarmDatasets();
+
+        const built = refresh.mock.calls.map(call => `${call.arguments[1]}:${call.arguments[0] || '*'}`);
+        const expected = countryService.getSupportedLanguages()
+            .flatMap(lang => ['*', ...countryService.getSupportedCodes()].map(country => `${lang}:${country}`));
+        assert.deepEqual(built, expected);
+        assert.ok(built.includes('pl:PL') && built.includes('pl:DE'));
+    });
+});
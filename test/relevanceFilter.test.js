@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every upstream call is answered from test/fixtures/upstream; nothing goes over the network.
+// The auth and pollution fixtures were recorded from mock/upstreamServer.js with a page limit of 5;
+// the Wikipedia and Wikidata fixtures are abridged responses covering the PL entries of the mock data.
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uaq-test-'));
+Object.assign(process.env, {
+    UPSTREAM_MODE: 'replay',
+    UPSTREAM_FIXTURES_DIR: path.join(__dirname, 'fixtures', 'upstream'),
+    POLLUTION_API_USERNAME: 'testuser',
+    POLLUTION_API_PASSWORD: 'testpass',
+    POLLUTION_API_PAGE_LIMIT: '5',
+    CACHE_BACKEND: 'memory',
+    OVERRIDES_FILE: path.join(tempDir, 'overrides.json'),
+    OVERRIDES_AUDIT_LOG: path.join(tempDir, 'overrides-audit.ndjson'),
+    HISTORY_DIR: path.join(tempDir, 'history'),
+    LOG_LEVEL: 'error',
+});
+
+const citiesService = require('../services/cities.service');
+const wikipediaService = require('../services/wikipedia.service');
+const classifierService = require('../services/classifier.service');
+const { FixtureNotFoundError } = require('../utils/upstreamRecorder');
+
+const rules = (decisions) => decisions.map(decision => decision.rule);
+
+describe('Wikipedia relevance filter', () => {
+    it('accepts a city whose Wikidata item is a settlement in the requested country', async () => {
+        const { match, decisions } = await citiesService.getWikipediaDescription('Warsaw', 'PL', 'Warsaw', 'en');
+        assert.equal(match.title, 'Warsaw');
+        assert.equal(match.language, 'en');
+        assert.deepEqual(match.classification, { rule: 'wikidata-settlement', source: 'wikidata' });
+        assert.match(match.description, /^Warsaw, officially the Capital City of Warsaw, is the capital and largest city of Poland\./);
+        assert.deepEqual(match.coordinates, { lat: 52.23, lon: 21.011111 });
+        assert.deepEqual(rules(decisions), ['wikidata-settlement']);
+    });
+
+    it('walks "subclass of" to find a settlement type', async () => {
+        const { match, decisions } = await citiesService.getWikipediaDescription('Kraków', 'PL', 'Kraków', 'en');
+        assert.equal(match.title, 'Kraków');
+        assert.equal(decisions[0].checks.settlementType, 'Q1549591');
+    });
+
+    it('looks up the cleaned name when the upstream name carries a descriptor', async () => {
+        const { match, decisions } = await citiesService.getWikipediaDescription('Gdańsk (Zone)', 'PL', 'Gdańsk', 'en');
+        assert.equal(match.title, 'Gdańsk');
+        assert.equal(decisions[0].query, 'Gdańsk (Zone), PL');
+    });
+
+    it('falls back to the keyword heuristic for pages without a Wikidata item', async () => {
+        const { match, decisions } = await citiesService.getWikipediaDescription('Radom', 'PL', 'Radom', 'en');
+        assert.equal(match.classification.rule, 'keyword-heuristic');
+        assert.equal(decisions[0].checks.fallbackReason, 'no-wikidata-item');
+        assert.equal(decisions[0].checks.countryRelevant, true);
+    });
+
+    it('rejects a page about a facility, in every language of the chain', async () => {
+        const { match, decisions } = await citiesService.getWikipediaDescription('Bełchatów Power Station', 'PL', 'Bełchatów Power Station', 'en');
+        assert.equal(match, null);
+        assert.deepEqual(Array.from(new Set(decisions.map(decision => decision.language))), ['en', 'pl']);
+        assert.ok(decisions.filter(decision => decision.language === 'en').every(decision => decision.rule === 'wikidata-not-settlement'));
+        // The Polish article is titled "Elektrownia Bełchatów" and does not contain the queried name.
+        assert.ok(decisions.filter(decision => decision.language === 'pl').every(decision => decision.rule === 'name-mismatch'));
+    });
+
+    it('rejects a settlement of the same name in another country', async () => {
+        const { match, decisions } = await citiesService.getWikipediaDescription('Springfield', 'PL', 'Springfield', 'en');
+        assert.equal(match, null);
+        assert.ok(decisions.length > 0);
+        assert.ok(decisions.every(decision => decision.rule === 'wikidata-country-mismatch'));
+        assert.deepEqual(decisions[0].checks.countries, ['Q30']);
+    });
+
+    it('reports queries without any search result', async () => {
+        const { match, decisions } = await citiesService.getWikipediaDescription('Sensor 17 (Zone)', 'PL', 'Sensor 17', 'en');
+        assert.equal(match, null);
+        assert.equal(decisions.length, 8); // Four queries in English, then four in Polish
+        assert.ok(decisions.every(decision => decision.rule === 'no-wikipedia-result'));
+    });
+
+    it('does not reuse a match accepted for another country', async (t) => {
+        // Only the bare name finds a page, and the classifier accepts it for the United States only.
+        t.mock.method(wikipediaService, 'fetchCityDescription', async (query) => (query === 'Georgetown'
+            ? { title: 'Georgetown, Texas', description: 'Georgetown is a city in Texas, United States.', wikidataId: 'Q128244' }
+            : null));
+        t.mock.method(classifierService, 'classifyCandidate', async ({ query, countryCode }) => (countryCode === 'US'
+            ? { accepted: true, rule: 'wikidata-settlement', source: 'wikidata', query }
+            : { accepted: false, rule: 'wikidata-country-mismatch', source: 'wikidata', query }));
+
+        const inUnitedStates = await citiesService.getWikipediaDescription('Georgetown', 'US', 'Georgetown', 'en');
+        assert.equal(inUnitedStates.match.title, 'Georgetown, Texas');
+
+        const inPoland = await citiesService.getWikipediaDescription('Georgetown', 'PL', 'Georgetown', 'en');
+        assert.equal(inPoland.match, null);
+        assert.ok(inPoland.decisions.every(decision => !decision.cached));
+    });
+
+    it('fails instead of going to the network when a fixture is missing', async () => {
+        await assert.rejects(citiesService.getWikipediaDescription('Poznań', 'PL', 'Poznań', 'en'), FixtureNotFoundError);
+    });
+});
+
+describe('city dataset (replayed end to end)', () => {
+    it('keeps only validated, relevant cities and explains every rejection', async () => {
+        const { dataset } = await citiesService.getCitiesDataset('PL', 'en');
+
+        assert.deepEqual(dataset.cities.map(city => city.name), ['Warsaw', 'Kraków', 'Gdańsk (Zone)', 'Radom']);
+        assert.equal(dataset.degraded, false);
+
+        const stages = Object.fromEntries(dataset.rejected.map(rejection => [rejection.name === null ? '(no name)' : rejection.name, rejection.stage]));
+        assert.deepEqual(stages, {
+            '': 'validation',
+            '(no name)': 'validation',
+            'Łódź': 'validation',
+            'Lublin': 'validation',
+            '12345': 'name-cleaning',
+            'WARSAW': 'deduplication',
+            'Sensor 17 (Zone)': 'no-wikipedia-hit',
+            'Bełchatów Power Station': 'relevance-filter',
+            'Springfield': 'relevance-filter',
+        });
+    });
+});
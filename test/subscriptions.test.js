@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uaq-test-'));
+// The modules read their configuration when first required, so the environment is set up before that.
+Object.assign(process.env, {
+    API_KEYS_REQUIRED: 'false', // Keyless callers are admitted elsewhere, but not to /subscriptions
+    API_KEYS_FILE: path.join(tempDir, 'apiKeys.json'),
+    SUBSCRIPTIONS_FILE: path.join(tempDir, 'subscriptions.json'),
+    WEBHOOK_ALLOWED_HOSTS: '127.0.0.1',
+    CACHE_BACKEND: 'memory',
+    OVERRIDES_FILE: path.join(tempDir, 'overrides.json'),
+    OVERRIDES_AUDIT_LOG: path.join(tempDir, 'overrides-audit.ndjson'),
+    HISTORY_DIR: path.join(tempDir, 'history'),
+    LOG_LEVEL: 'error',
+});
+
+const app = require('../app');
+const apiKeyService = require('../services/apiKey.service');
+const subscriptionService = require('../services/subscription.service');
+
+let server;
+let baseUrl;
+const keys = {};
+
+before(async () => {
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    keys.alice = apiKeyService.createApiKey({ name: 'alice' }).key;
+    keys.bob = apiKeyService.createApiKey({ name: 'bob' }).key;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+const call = async (method, path, key, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { ...(key ? { 'X-API-Key': key } : {}), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+const subscribe = (key) => call('POST', '/subscriptions', key, { country: 'PL', threshold: 50, callbackUrl: 'http://127.0.0.1:9/hook' });
+
+describe('subscription ownership', () => {
+    it('keeps each client\'s subscriptions out of reach of the other', async () => {
+        const alice = await subscribe(keys.alice);
+        const bob = await subscribe(keys.bob);
+        assert.equal(alice.status, 201);
+        assert.equal(bob.status, 201);
+        const aliceId = alice.body.id;
+        const bobId = bob.body.id;
+
+        const aliceList = await call('GET', '/subscriptions', keys.alice);
+        assert.deepEqual(aliceList.body.subscriptions.map(subscription => subscription.id), [aliceId]);
+        const bobList = await call('GET', '/subscriptions', keys.bob);
+        assert.deepEqual(bobList.body.subscriptions.map(subscription => subscription.id), [bobId]);
+
+        assert.equal((await call('GET', `/subscriptions/${aliceId}`, keys.bob)).status, 404);
+        assert.equal((await call('POST', `/subscriptions/${aliceId}/test`, keys.bob)).status, 404);
+        assert.equal((await call('DELETE', `/subscriptions/${aliceId}`, keys.bob)).status, 404);
+        assert.ok(subscriptionService.getSubscription(aliceId), 'still there after the other client tried to delete it');
+
+        assert.equal((await call('GET', `/subscriptions/${aliceId}`, keys.alice)).status, 200);
+        assert.equal((await call('DELETE', `/subscriptions/${aliceId}`, keys.alice)).status, 204);
+        assert.equal((await call('DELETE', `/subscriptions/${bobId}`, keys.bob)).status, 204);
+    });
+
+    it('shows each client only the dead letters of its own subscriptions', async () => {
+        const alice = (await subscribe(keys.alice)).body;
+        subscriptionService.addDeadLetter({
+            deliveryId: 'delivery-1',
+            subscriptionId: alice.id,
+            clientId: alice.clientId,
+            callbackUrl: alice.callbackUrl,
+            event: 'threshold.exceeded',
+            payload: { city: 'Warsaw' },
+            error: 'status 500',
+        });
+
+        assert.deepEqual((await call('GET', '/subscriptions/dead-letters', keys.alice)).body.deadLetters.map(letter => letter.deliveryId), ['delivery-1']);
+        assert.deepEqual((await call('GET', '/subscriptions/dead-letters', keys.bob)).body.deadLetters, []);
+    });
+
+    it('rejects keyless clients even when API keys are optional', async () => {
+        for (const [method, path] of [['GET', '/subscriptions'], ['POST', '/subscriptions'], ['GET', '/subscriptions/dead-letters'], ['DELETE', '/subscriptions/some-id']]) {
+            const response = await call(method, path);
+            assert.equal(response.status, 401, `${method} ${path}`);
+            assert.equal(response.body.code, 'unauthorized');
+        }
+        // Other endpoints still admit them.
+        assert.equal((await call('GET', '/aqi/scales')).status, 200);
+    });
+});
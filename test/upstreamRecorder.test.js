@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uaq-test-'));
+Object.assign(process.env, {
+    UPSTREAM_FIXTURES_DIR: tempDir,
+    LOG_LEVEL: 'error',
+});
+
+const { getFixtureKey, getFixturePath, recordFixture, replayFixture } = require('../utils/upstreamRecorder');
+
+describe('upstream fixture recording', () => {
+    it('redacts credentials and tokens from request and response bodies', async () => {
+        const fixtureKey = getFixtureKey(new URL('http://localhost:4000/auth/login'), {
+            method: 'post',
+            data: { username: 'testuser', password: 'testpass' },
+        });
+        recordFixture('auth', fixtureKey, {
+            status: 200,
+            headers: { 'content-type': 'application/json', 'set-cookie': 'session=1' },
+            data: { token: 'access-token', refreshToken: 'refresh-token', expiresIn: 3600, sessions: [{ id: 1, token: 'old-token' }] },
+        });
+
+        const saved = fs.readFileSync(getFixturePath('auth', fixtureKey), 'utf8');
+        ['testpass', 'access-token', 'refresh-token', 'old-token', 'session=1'].forEach(secret => assert.ok(!saved.includes(secret), secret));
+
+        const fixture = JSON.parse(saved);
+        assert.deepEqual(fixture.request.data, { username: 'testuser', password: '[redacted]' });
+        assert.deepEqual(fixture.response.data, { token: '[redacted]', refreshToken: '[redacted]', expiresIn: 3600, sessions: [{ id: 1, token: '[redacted]' }] });
+
+        const replayed = await replayFixture('auth', fixtureKey);
+        assert.equal(replayed.data.token, '[redacted]');
+    });
+
+    it('keeps list responses as lists', async () => {
+        const fixtureKey = getFixtureKey(new URL('http://localhost:4000/pollution'), { params: { country: 'PL', page: 1 } });
+        recordFixture('pollution', fixtureKey, { status: 200, headers: {}, data: [{ name: 'Warsaw', pollution: 40 }] });
+
+        assert.deepEqual((await replayFixture('pollution', fixtureKey)).data, [{ name: 'Warsaw', pollution: 40 }]);
+    });
+});
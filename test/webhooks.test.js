@@ -0,0 +1,230 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uaq-test-'));
+// The modules read their configuration when first required, so the environment is set up before that.
+Object.assign(process.env, {
+    POLLUTION_API_USERNAME: 'testuser',
+    POLLUTION_API_PASSWORD: 'testpass',
+    UPSTREAM_MODE: 'live',
+    UPSTREAM_RETRY_BASE_DELAY_MS: '1',
+    UPSTREAM_RETRY_MAX_DELAY_MS: '5',
+    WEBHOOK_MAX_RETRIES: '2',
+    WEBHOOK_ALLOWED_HOSTS: '127.0.0.1', // The receiver below; every other private address stays blocked
+    CACHE_BACKEND: 'memory',
+    SUBSCRIPTIONS_FILE: path.join(tempDir, 'subscriptions.json'),
+    OVERRIDES_FILE: path.join(tempDir, 'overrides.json'),
+    HISTORY_DIR: path.join(tempDir, 'history'),
+    LOG_LEVEL: 'error',
+});
+
+const { createMockUpstream } = require('../mock/upstreamServer');
+
+// Readings served by the mock pollution API; the alert tests change them between polls.
+const readings = { PL: [{ name: 'Warsaw', pollution: 40 }, { name: 'Kraków', pollution: 30 }, { name: 'Łódź (Centrum)', pollution: 20 }] };
+const mock = createMockUpstream({ cities: readings, corruptedEntries: false });
+
+// Local webhook receiver: records every delivery and answers with the queued statuses (then 200).
+const received = [];
+const statuses = [];
+const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+        res.end();
+    });
+});
+
+let servers = [];
+let callbackUrl;
+let subscriptionService;
+let webhookService;
+let alertPollerService;
+let metrics;
+
+before(async () => {
+    const upstream = await mock.listen();
+    process.env.POLLUTION_API_BASE_URL = upstream.url;
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    callbackUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+    servers = [upstream.server, receiver];
+
+    subscriptionService = require('../services/subscription.service');
+    webhookService = require('../services/webhook.service');
+    alertPollerService = require('../services/alertPoller.service');
+    metrics = require('../utils/metrics');
+});
+
+after(() => {
+    servers.forEach(server => {
+        server.closeAllConnections();
+        server.close();
+    });
+});
+
+afterEach(() => {
+    subscriptionService.listSubscriptions().forEach(({ id }) => subscriptionService.deleteSubscription(id));
+    received.length = 0;
+    statuses.length = 0;
+});
+
+const subscribe = (fields = {}) => subscriptionService.createSubscription({ country: 'PL', threshold: 50, callbackUrl, ...fields }, 'client-a');
+
+describe('webhook delivery', () => {
+    it('signs the exact body with the subscription secret', async () => {
+        const subscription = await subscribe({ secret: 'a-receiver-shared-secret' });
+        const result = await webhookService.deliverEvent(subscription, 'subscription.test', { country: 'PL' });
+
+        assert.equal(result.delivered, true);
+        assert.equal(received.length, 1);
+        const { headers, body } = received[0];
+        const payload = JSON.parse(body);
+        assert.equal(payload.event, 'subscription.test');
+        assert.equal(payload.subscriptionId, subscription.id);
+        assert.equal(headers['x-webhook-id'], payload.id);
+        assert.equal(headers['x-webhook-event'], 'subscription.test');
+
+        const [, timestamp, digest] = headers['x-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+        const expected = crypto.createHmac('sha256', 'a-receiver-shared-secret').update(`${timestamp}.${body}`).digest('hex');
+        assert.equal(digest, expected);
+        assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+    });
+
+    it('retries transient failures with backoff', async () => {
+        const subscription = await subscribe();
+        statuses.push(503, 500);
+        const result = await webhookService.deliverEvent(subscription, 'subscription.test', {});
+
+        assert.deepEqual({ delivered: result.delivered, status: result.status }, { delivered: true, status: 200 });
+        assert.equal(received.length, 3);
+        // Every attempt carries the same delivery id, so receivers can deduplicate.
+        assert.equal(new Set(received.map(request => request.headers['x-webhook-id'])).size, 1);
+        assert.equal(subscriptionService.listDeadLetters('client-a').length, 0);
+    });
+
+    it('dead-letters a delivery that fails after every retry', async () => {
+        const subscription = await subscribe();
+        statuses.push(500, 500, 500);
+        const result = await webhookService.deliverEvent(subscription, 'threshold.exceeded', { city: 'Warsaw' });
+
+        assert.equal(result.delivered, false);
+        assert.equal(received.length, 3); // The first attempt and WEBHOOK_MAX_RETRIES retries
+        const [deadLetter] = subscriptionService.listDeadLetters('client-a').filter(letter => letter.deliveryId === result.deliveryId);
+        assert.equal(deadLetter.subscriptionId, subscription.id);
+        assert.equal(deadLetter.clientId, 'client-a');
+        assert.equal(deadLetter.error, 'status 500');
+        assert.equal(deadLetter.payload.city, 'Warsaw');
+        assert.deepEqual(subscriptionService.listDeadLetters('client-b'), []);
+    });
+
+    it('does not retry a delivery the receiver rejects', async () => {
+        const subscription = await subscribe();
+        statuses.push(400);
+        const result = await webhookService.deliverEvent(subscription, 'subscription.test', {});
+
+        assert.equal(result.delivered, false);
+        assert.equal(result.error, 'status 400');
+        assert.equal(received.length, 1);
+    });
+
+    it('keeps receiver hosts out of the circuit breakers and the metric labels', async () => {
+        const subscription = await subscribe();
+        // Two dead-lettered deliveries are six consecutive failures, past the breaker's threshold of five.
+        statuses.push(500, 500, 500, 500, 500, 500);
+        await webhookService.deliverEvent(subscription, 'subscription.test', {});
+        await webhookService.deliverEvent(subscription, 'subscription.test', {});
+        assert.equal((await webhookService.deliverEvent(subscription, 'subscription.test', {})).delivered, true);
+
+        const { values } = await metrics.register.getSingleMetric('upstream_requests_total').get();
+        const hosts = new Set(values.map(value => value.labels.host));
+        assert.ok(hosts.has('webhook'));
+        assert.ok(!hosts.has(new URL(callbackUrl).host));
+    });
+
+    it('refuses callback URLs on private or loopback addresses that are not allowlisted', async () => {
+        for (const url of ['http://169.254.169.254/latest/meta-data', 'http://10.0.0.1/hook', 'http://[::1]/hook', 'http://127.0.0.2/hook']) {
+            await assert.rejects(subscribe({ callbackUrl: url }), error =>
+                error instanceof subscriptionService.SubscriptionValidationError && error.field === 'callbackUrl', url);
+        }
+    });
+});
+
+describe('threshold alerts', () => {
+    const setReading = (name, pollution) => {
+        readings.PL.find(city => city.name === name).pollution = pollution;
+    };
+    const poll = async () => {
+        received.length = 0;
+        await alertPollerService.pollSubscriptions();
+        return received.map(({ body }) => JSON.parse(body));
+    };
+
+    it('fires once on crossing the threshold and re-arms only after the reading drops below it', async () => {
+        setReading('Warsaw', 40);
+        setReading('Kraków', 30);
+        await subscribe({ city: 'Warsaw' });
+
+        assert.deepEqual(await poll(), []);
+
+        setReading('Warsaw', 60);
+        const [exceeded, ...others] = await poll();
+        assert.deepEqual(others, []);
+        assert.deepEqual(
+            { event: exceeded.event, city: exceeded.city, pollution: exceeded.pollution, threshold: exceeded.threshold },
+            { event: 'threshold.exceeded', city: 'Warsaw', pollution: 60, threshold: 50 }
+        );
+
+        setReading('Warsaw', 70);
+        assert.deepEqual(await poll(), [], 'still above the threshold: suppressed');
+        setReading('Warsaw', 50);
+        assert.deepEqual(await poll(), [], 'at the threshold still counts as above');
+
+        setReading('Warsaw', 45);
+        const [cleared] = await poll();
+        assert.equal(cleared.event, 'threshold.cleared');
+        assert.equal(cleared.pollution, 45);
+        assert.ok(cleared.alertingSince);
+
+        setReading('Warsaw', 55);
+        assert.deepEqual((await poll()).map(event => event.event), ['threshold.exceeded']);
+    });
+
+    it('matches a city by the name /cities reports, descriptor included, or by its cleaned name', async () => {
+        setReading('Łódź (Centrum)', 20);
+        await subscribe({ city: 'Łódź (Centrum)' });
+        await subscribe({ city: 'łódź' });
+
+        setReading('Łódź (Centrum)', 65);
+        const events = await poll();
+        assert.deepEqual(events.map(event => `${event.event} ${event.city}`), ['threshold.exceeded Łódź (Centrum)', 'threshold.exceeded Łódź (Centrum)']);
+        setReading('Łódź (Centrum)', 20);
+    });
+
+    it('logs a failed run instead of rejecting, and runs again next time', async (t) => {
+        setReading('Warsaw', 60);
+        await subscribe({ city: 'Warsaw' });
+        t.mock.method(subscriptionService, 'listSubscriptions', () => {
+            throw new Error('subscriptions file unreadable');
+        }, { times: 1 });
+
+        assert.deepEqual(await poll(), []);
+        assert.deepEqual((await poll()).map(event => event.event), ['threshold.exceeded']);
+    });
+
+    it('tracks every city of the country separately when no city is given', async () => {
+        setReading('Warsaw', 60);
+        setReading('Kraków', 30);
+        await subscribe();
+
+        assert.deepEqual((await poll()).map(event => event.city), ['Warsaw']);
+        setReading('Kraków', 80);
+        assert.deepEqual((await poll()).map(event => `${event.event} ${event.city}`), ['threshold.exceeded Kraków']);
+    });
+});
@@ -1,9 +1,226 @@
-const NodeCache = require('node-cache');
+const path = require('path');
+const dotenv = require('dotenv');
+const { createMemoryBackend } = require('./cacheBackends/memory');
+const { createFileBackend } = require('./cacheBackends/file');
+const { createRedisBackend } = require('./cacheBackends/redis');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
-// Initialize a new cache instance with a default TTL (Time To Live)
-// This cache will store data in memory
-const cache = new NodeCache({ stdTTL: 300, checkperiod: 60 }); // Default TTL 5 minutes, check every 1 minute
+dotenv.config();
+
+const CACHE_BACKEND = process.env.CACHE_BACKEND || 'memory';
+const CACHE_FILE_DIR = process.env.CACHE_FILE_DIR || path.join(__dirname, '..', 'data', 'cache');
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const REDIS_KEY_PREFIX = process.env.REDIS_KEY_PREFIX || 'uaq:';
+
+// Default TTL (in seconds) per namespace; callers may still pass an explicit TTL per entry.
+const NAMESPACES = {
+    auth: { defaultTTL: parseInt(process.env.CACHE_TTL_AUTH, 10) || 3600 },
+    pollution: { defaultTTL: parseInt(process.env.CACHE_TTL_POLLUTION, 10) || 600 },
+    wiki: { defaultTTL: parseInt(process.env.CACHE_TTL_WIKI, 10) || 3600 },
+};
+
+const backends = new Map();
+
+/**
+ * Creates (once) the backend of the given type. Memory and file backends are per namespace;
+ * the Redis backend shares one connection and separates namespaces by key prefix.
+ * @param {string} type - 'memory', 'file' or 'redis'.
+ * @param {string} namespace - Namespace the backend is for.
+ * @returns {object} - Cache backend.
+ */
+const getBackend = (type, namespace) => {
+    const backendKey = type === 'redis' ? 'redis' : `${type}:${namespace}`;
+    if (!backends.has(backendKey)) {
+        switch (type) {
+            case 'memory':
+                backends.set(backendKey, createMemoryBackend());
+                break;
+            case 'file':
+                backends.set(backendKey, createFileBackend({ filePath: path.join(CACHE_FILE_DIR, `${namespace}.json`) }));
+                break;
+            case 'redis':
+                backends.set(backendKey, createRedisBackend({ url: REDIS_URL }));
+                break;
+            default:
+                throw new Error(`Unknown cache backend "${type}". Use memory, file or redis.`);
+        }
+    }
+    return backends.get(backendKey);
+};
+
+/**
+ * A cache namespace with its own default TTL and targeted invalidation.
+ * Backend failures are logged and treated as cache misses, so a broken cache never fails a request.
+ */
+class NamespacedCache {
+    constructor(namespace, backend, defaultTTL) {
+        this.namespace = namespace;
+        this.backend = backend;
+        this.defaultTTL = defaultTTL;
+        this.keyPrefix = backend.name === 'redis' ? `${REDIS_KEY_PREFIX}${namespace}:` : '';
+        this.inFlight = new Map(); // key -> { promise, invalidated } of a running refresh
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<*>} - The cached value, or undefined on a miss.
+     */
+    async get(key) {
+        let value;
+        try {
+            value = await this.backend.get(this.keyPrefix + key);
+        } catch (error) {
+            logger.error(`Cache read failed for ${this.namespace}:${key}`, { error: error.message });
+        }
+        metrics.recordCacheLookup(this.namespace, value !== undefined);
+        return value;
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value - Must be JSON-serialisable for the file and Redis backends.
+     * @param {number} [ttlSeconds] - Defaults to the namespace TTL; 0 means no expiry.
+     */
+    async set(key, value, ttlSeconds = this.defaultTTL) {
+        try {
+            await this.backend.set(this.keyPrefix + key, value, ttlSeconds);
+        } catch (error) {
+            logger.error(`Cache write failed for ${this.namespace}:${key}`, { error: error.message });
+        }
+    }
+
+    /**
+     * @param {string} key
+     */
+    async del(key) {
+        try {
+            await this.backend.del(this.keyPrefix + key);
+        } catch (error) {
+            logger.error(`Cache delete failed for ${this.namespace}:${key}`, { error: error.message });
+        }
+    }
+
+    /**
+     * Runs `fetcher` and stores its result with a freshness timestamp for `getOrRefresh`.
+     * Concurrent refreshes of the same key share one call to `fetcher`. If the key is invalidated while
+     * `fetcher` runs, the result still goes to the callers already waiting for it but is not stored.
+     * @param {string} key
+     * @param {function(): Promise<*>} fetcher - Produces the value.
+     * @param {object} [options]
+     * @param {number|function(*): number} [options.ttl] - Seconds the value stays fresh (or a function of the value).
+     * @param {number} [options.staleTTL=0] - Extra seconds an expired value may still be served while refreshing.
+     * @returns {Promise<*>} - The fetched value.
+     */
+    refresh(key, fetcher, { ttl = this.defaultTTL, staleTTL = 0 } = {}) {
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key).promise;
+        }
+        const run = { invalidated: false };
+        run.promise = (async () => {
+            try {
+                const value = await fetcher();
+                if (run.invalidated) {
+                    logger.info(`Not caching ${this.namespace}:${key}; it was invalidated while being refreshed.`);
+                    return value;
+                }
+                const freshSeconds = typeof ttl === 'function' ? ttl(value) : ttl;
+                const storedAt = Date.now();
+                await this.set(key, { value, storedAt, freshUntil: storedAt + freshSeconds * 1000 }, freshSeconds + staleTTL);
+                if (run.invalidated) {
+                    // Invalidated while the write was in flight, so the invalidation may have missed it.
+                    await this.del(key);
+                }
+                return value;
+            } finally {
+                if (this.inFlight.get(key) === run) {
+                    this.inFlight.delete(key);
+                }
+            }
+        })();
+        this.inFlight.set(key, run);
+        return run.promise;
+    }
+
+    /**
+     * Stale-while-revalidate lookup. A fresh entry is returned as is; an expired entry within its
+     * stale window is returned immediately while a background refresh runs; otherwise the caller
+     * waits for a (coalesced) fetch.
+     * @param {string} key
+     * @param {function(): Promise<*>} fetcher - Produces the value.
+     * @param {object} [options] - Same as `refresh`.
+     * @returns {Promise<{ value: *, status: string, ageSeconds: number }>} - status is 'fresh', 'stale' or 'miss'.
+     */
+    async getOrRefresh(key, fetcher, options = {}) {
+        const entry = await this.get(key);
+
+        if (entry && typeof entry.freshUntil === 'number') {
+            const ageSeconds = Math.floor((Date.now() - entry.storedAt) / 1000);
+            if (entry.freshUntil > Date.now()) {
+                return { value: entry.value, status: 'fresh', ageSeconds };
+            }
+            this.refresh(key, fetcher, options).catch(error => {
+                logger.error(`Background refresh failed for ${this.namespace}:${key}; keeping the stale entry`, { error: error.message });
+            });
+            return { value: entry.value, status: 'stale', ageSeconds };
+        }
+
+        const value = await this.refresh(key, fetcher, options);
+        return { value, status: 'miss', ageSeconds: 0 };
+    }
+
+    /**
+     * Deletes every entry in this namespace whose key starts with `prefix`. Refreshes of those keys that
+     * are already running will not store their result, and later callers start a new refresh instead of joining them.
+     * @param {string} [prefix=''] - Key prefix; empty clears the whole namespace.
+     * @returns {Promise<number>} - Number of entries removed.
+     */
+    async invalidate(prefix = '') {
+        for (const [key, run] of this.inFlight) {
+            if (key.startsWith(prefix)) {
+                run.invalidated = true;
+                this.inFlight.delete(key);
+            }
+        }
+        try {
+            const keys = await this.backend.keys(this.keyPrefix + prefix);
+            await Promise.all(keys.map(key => this.backend.del(key)));
+            logger.info(`Invalidated ${keys.length} ${this.namespace} cache entries${prefix ? ` with prefix "${prefix}"` : ''}.`);
+            return keys.length;
+        } catch (error) {
+            logger.error(`Cache invalidation failed for ${this.namespace}:${prefix}*`, { error: error.message });
+            return 0;
+        }
+    }
+}
+
+const caches = new Map();
+
+/**
+ * Returns the cache for a namespace. The backend comes from CACHE_BACKEND_<NAMESPACE>,
+ * falling back to CACHE_BACKEND (default 'memory').
+ * @param {string} namespace - One of 'auth', 'pollution', 'wiki'.
+ * @returns {NamespacedCache}
+ */
+const getCache = (namespace) => {
+    if (!NAMESPACES[namespace]) {
+        throw new Error(`Unknown cache namespace "${namespace}".`);
+    }
+    if (!caches.has(namespace)) {
+        const type = process.env[`CACHE_BACKEND_${namespace.toUpperCase()}`] || CACHE_BACKEND;
+        caches.set(namespace, new NamespacedCache(namespace, getBackend(type, namespace), NAMESPACES[namespace].defaultTTL));
+    }
+    return caches.get(namespace);
+};
+
+/**
+ * Flushes pending writes and closes backend connections.
+ */
+const closeCaches = async () => {
+    await Promise.all(Array.from(backends.values()).map(backend => backend.close()));
+};
 
 module.exports = {
-    cache,
-};
\ No newline at end of file
+    getCache,
+    closeCaches,
+};
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const FLUSH_DELAY_MS = 1000; // Batch writes that happen in quick succession
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * On-disk backend: entries live in memory and are written to a JSON file, so they survive restarts.
+ * Writes are debounced and atomic (temp file + rename). Intended for a single instance per file;
+ * use the Redis backend to share a cache between instances.
+ * @param {object} options
+ * @param {string} options.filePath - Where to persist the cache.
+ * @returns {object} - Cache backend.
+ */
+const createFileBackend = ({ filePath }) => {
+    const entries = new Map(); // key -> { value, expiresAt } (expiresAt 0 = never)
+    let flushTimer = null;
+
+    const isExpired = (entry) => entry.expiresAt !== 0 && entry.expiresAt <= Date.now();
+
+    try {
+        const persisted = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const [key, entry] of Object.entries(persisted)) {
+            if (!isExpired(entry)) {
+                entries.set(key, entry);
+            }
+        }
+        logger.info(`Loaded ${entries.size} cache entries from ${filePath}.`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Could not load cache file ${filePath}, starting empty`, { error: error.message });
+        }
+    }
+
+    const flush = () => {
+        flushTimer = null;
+        const snapshot = {};
+        for (const [key, entry] of entries) {
+            if (!isExpired(entry)) {
+                snapshot[key] = entry;
+            }
+        }
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            logger.error(`Failed to persist cache file ${filePath}`, { error: error.message });
+        }
+    };
+
+    const scheduleFlush = () => {
+        if (!flushTimer) {
+            flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+            flushTimer.unref();
+        }
+    };
+
+    const pruneTimer = setInterval(() => {
+        let pruned = false;
+        for (const [key, entry] of entries) {
+            if (isExpired(entry)) {
+                entries.delete(key);
+                pruned = true;
+            }
+        }
+        if (pruned) {
+            scheduleFlush();
+        }
+    }, PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+
+    return {
+        name: 'file',
+        get: async (key) => {
+            const entry = entries.get(key);
+            if (!entry) {
+                return undefined;
+            }
+            if (isExpired(entry)) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+        set: async (key, value, ttlSeconds) => {
+            entries.set(key, { value, expiresAt: ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : 0 });
+            scheduleFlush();
+        },
+        del: async (key) => {
+            if (entries.delete(key)) {
+                scheduleFlush();
+            }
+        },
+        keys: async (prefix) => Array.from(entries.keys())
+            .filter(key => key.startsWith(prefix) && !isExpired(entries.get(key))),
+        close: async () => {
+            clearInterval(pruneTimer);
+            if (flushTimer) {
+                clearTimeout(flushTimer);
+                flush();
+            }
+        },
+    };
+};
+
+module.exports = {
+    createFileBackend,
+};
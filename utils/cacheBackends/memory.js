@@ -0,0 +1,28 @@
+const NodeCache = require('node-cache');
+
+/**
+ * In-process backend on top of node-cache. Fast, but lost on restart and not shared between instances.
+ * @returns {object} - Cache backend.
+ */
+const createMemoryBackend = () => {
+    const store = new NodeCache({ stdTTL: 0, checkperiod: 60 }); // TTLs are always passed explicitly
+
+    return {
+        name: 'memory',
+        get: async (key) => store.get(key),
+        set: async (key, value, ttlSeconds) => {
+            store.set(key, value, ttlSeconds);
+        },
+        del: async (key) => {
+            store.del(key);
+        },
+        keys: async (prefix) => store.keys().filter(key => key.startsWith(prefix)),
+        close: async () => {
+            store.close();
+        },
+    };
+};
+
+module.exports = {
+    createMemoryBackend,
+};
@@ -0,0 +1,236 @@
+const net = require('net');
+const logger = require('../logger');
+
+const COMMAND_TIMEOUT_MS = parseInt(process.env.REDIS_COMMAND_TIMEOUT_MS, 10) || 2000;
+const SCAN_BATCH_SIZE = 200;
+
+// Keys contain city names, so glob characters must not be interpreted by SCAN MATCH.
+const escapeGlob = (value) => value.replace(/[*?[\]\\]/g, '\\$&');
+
+/**
+ * Encodes a command as a RESP array of bulk strings.
+ * @param {Array<string|number>} args - Command name followed by its arguments.
+ * @returns {Buffer}
+ */
+const encodeCommand = (args) => {
+    const parts = [`*${args.length}\r\n`];
+    for (const arg of args) {
+        const value = String(arg);
+        parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+    }
+    return Buffer.from(parts.join(''));
+};
+
+/**
+ * Parses one RESP value from `buffer` starting at `offset`.
+ * @returns {object|null} - { value, offset } or null if the buffer does not yet hold a complete value.
+ */
+const parseReply = (buffer, offset) => {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) {
+        return null;
+    }
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new Error(line), offset: next };
+        case ':':
+            return { value: parseInt(line, 10), offset: next };
+        case '$': {
+            const length = parseInt(line, 10);
+            if (length === -1) {
+                return { value: null, offset: next };
+            }
+            if (buffer.length < next + length + 2) {
+                return null;
+            }
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = parseInt(line, 10);
+            if (count === -1) {
+                return { value: null, offset: next };
+            }
+            const items = [];
+            let cursor = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, cursor);
+                if (!item) {
+                    return null;
+                }
+                items.push(item.value);
+                cursor = item.offset;
+            }
+            return { value: items, offset: cursor };
+        }
+        default:
+            throw new Error(`Unexpected RESP reply type "${type}".`);
+    }
+};
+
+/**
+ * Minimal Redis-protocol client: one lazily (re)connected socket with pipelined commands.
+ * Works against Redis and any RESP-compatible stand-in (KeyDB, Dragonfly, a local test server).
+ * @param {string} redisUrl - e.g. 'redis://:password@localhost:6379/0'.
+ * @returns {object} - { command, close }
+ */
+const createRespClient = (redisUrl) => {
+    const url = new URL(redisUrl);
+    const host = url.hostname || 'localhost';
+    const port = parseInt(url.port, 10) || 6379;
+    const password = url.password ? decodeURIComponent(url.password) : null;
+    const db = url.pathname && url.pathname.length > 1 ? url.pathname.slice(1) : null;
+
+    let socket = null;
+    let buffer = Buffer.alloc(0);
+    const pending = [];
+
+    const failPending = (error) => {
+        while (pending.length > 0) {
+            pending.shift().reject(error);
+        }
+    };
+
+    /**
+     * Drops a connection and fails the commands waiting on it. Events from a connection that has
+     * already been replaced are ignored, so they cannot fail commands sent on the new one.
+     */
+    const disconnect = (connection, error) => {
+        if (socket !== connection) {
+            return;
+        }
+        socket = null;
+        connection.destroy();
+        failPending(error);
+    };
+
+    const connect = () => {
+        buffer = Buffer.alloc(0);
+        const connection = net.createConnection({ host, port });
+        socket = connection;
+        connection.setNoDelay(true);
+        connection.setTimeout(COMMAND_TIMEOUT_MS);
+
+        const fail = (error) => {
+            logger.error(`Redis connection to ${host}:${port} failed`, { error: error.message });
+            disconnect(connection, error);
+        };
+
+        connection.on('data', (chunk) => {
+            if (socket !== connection) {
+                return;
+            }
+            buffer = Buffer.concat([buffer, chunk]);
+            let parsed;
+            try {
+                while (pending.length > 0 && (parsed = parseReply(buffer, 0))) {
+                    buffer = buffer.subarray(parsed.offset);
+                    const { resolve, reject, setup } = pending.shift();
+                    if (setup && parsed.value instanceof Error) {
+                        // A connection that failed AUTH or SELECT must not run the commands queued behind it.
+                        reject(parsed.value);
+                        fail(new Error(`Redis ${setup} failed: ${parsed.value.message}`));
+                        return;
+                    }
+                    if (parsed.value instanceof Error) {
+                        reject(parsed.value);
+                    } else {
+                        resolve(parsed.value);
+                    }
+                }
+            } catch (error) {
+                fail(error);
+            }
+        });
+        connection.on('timeout', () => {
+            if (socket === connection && pending.length > 0) {
+                fail(new Error(`Redis command timed out after ${COMMAND_TIMEOUT_MS}ms.`));
+            }
+        });
+        connection.on('error', fail);
+        connection.on('close', () => {
+            disconnect(connection, new Error(`Redis connection to ${host}:${port} closed.`));
+        });
+
+        // Sent first on the fresh connection, so they run before any queued command. Their errors fail the
+        // connection (see the data handler), so the promises themselves need no handling.
+        if (password) {
+            sendCommand(url.username ? ['AUTH', decodeURIComponent(url.username), password] : ['AUTH', password], 'AUTH').catch(() => {});
+        }
+        if (db) {
+            sendCommand(['SELECT', db], 'SELECT').catch(() => {});
+        }
+    };
+
+    /**
+     * @param {Array<string|number>} args
+     * @param {string} [setup] - Name of a connection setup command (AUTH, SELECT) whose failure fails the connection.
+     */
+    const sendCommand = (args, setup) => new Promise((resolve, reject) => {
+        pending.push({ resolve, reject, setup });
+        socket.write(encodeCommand(args));
+    });
+
+    return {
+        command: (args) => {
+            if (!socket) {
+                connect();
+            }
+            return sendCommand(args);
+        },
+        close: async () => {
+            if (socket) {
+                socket.end();
+            }
+        },
+    };
+};
+
+/**
+ * Redis-protocol backend: entries are shared between instances and survive restarts of this service.
+ * Values are stored as JSON strings; TTLs use native key expiry.
+ * @param {object} options
+ * @param {string} options.url - Redis connection URL.
+ * @returns {object} - Cache backend.
+ */
+const createRedisBackend = ({ url }) => {
+    const client = createRespClient(url);
+
+    return {
+        name: 'redis',
+        get: async (key) => {
+            const raw = await client.command(['GET', key]);
+            return raw === null ? undefined : JSON.parse(raw);
+        },
+        set: async (key, value, ttlSeconds) => {
+            const args = ['SET', key, JSON.stringify(value)];
+            if (ttlSeconds > 0) {
+                args.push('EX', Math.ceil(ttlSeconds));
+            }
+            await client.command(args);
+        },
+        del: async (key) => {
+            await client.command(['DEL', key]);
+        },
+        keys: async (prefix) => {
+            const found = [];
+            let cursor = '0';
+            do {
+                const [nextCursor, batch] = await client.command(['SCAN', cursor, 'MATCH', `${escapeGlob(prefix)}*`, 'COUNT', SCAN_BATCH_SIZE]);
+                found.push(...batch);
+                cursor = nextCursor;
+            } while (cursor !== '0');
+            return found;
+        },
+        close: client.close,
+    };
+};
+
+module.exports = {
+    createRedisBackend,
+};
@@ -0,0 +1,17 @@
+/**
+ * Tells clients how the dataset behind a response was served.
+ * @param {object} res - Express response.
+ * @param {string} cacheStatus - 'fresh', 'stale' or 'miss'.
+ * @param {number} ageSeconds - Seconds since the dataset was built.
+ */
+const setCacheHeaders = (res, cacheStatus, ageSeconds) => {
+    res.set({
+        'X-Cache': cacheStatus,
+        'X-Data-Age': String(ageSeconds),
+        'Age': String(ageSeconds),
+    });
+};
+
+module.exports = {
+    setCacheHeaders,
+};
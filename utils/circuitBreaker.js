@@ -0,0 +1,102 @@
+const logger = require('./logger');
+
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD, 10) || 5;
+const RESET_TIMEOUT_MS = parseInt(process.env.CIRCUIT_BREAKER_RESET_MS, 10) || 30000;
+
+const STATE_CLOSED = 'closed';
+const STATE_OPEN = 'open';
+const STATE_HALF_OPEN = 'half-open';
+
+/**
+ * Raised instead of calling an upstream host whose circuit is open.
+ */
+class CircuitOpenError extends Error {
+    constructor(host, retryInMs) {
+        super(`Circuit breaker for ${host} is open; skipping call for another ${Math.ceil(retryInMs / 1000)}s.`);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.host = host;
+    }
+}
+
+/**
+ * Tracks consecutive failures for one upstream host.
+ * After FAILURE_THRESHOLD failures the circuit opens and calls fail fast until RESET_TIMEOUT_MS
+ * has passed; then a single trial call is let through (half-open) to decide whether to close it again.
+ */
+class CircuitBreaker {
+    constructor(host, { failureThreshold = FAILURE_THRESHOLD, resetTimeoutMs = RESET_TIMEOUT_MS } = {}) {
+        this.host = host;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.state = STATE_CLOSED;
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Throws a CircuitOpenError if the call must not be made right now.
+     */
+    assertCanRequest() {
+        if (this.state === STATE_OPEN) {
+            const elapsed = Date.now() - this.openedAt;
+            if (elapsed < this.resetTimeoutMs) {
+                throw new CircuitOpenError(this.host, this.resetTimeoutMs - elapsed);
+            }
+            this.state = STATE_HALF_OPEN;
+            this.trialInFlight = false;
+        }
+        if (this.state === STATE_HALF_OPEN) {
+            if (this.trialInFlight) {
+                throw new CircuitOpenError(this.host, this.resetTimeoutMs);
+            }
+            this.trialInFlight = true;
+        }
+    }
+
+    recordSuccess() {
+        if (this.state !== STATE_CLOSED) {
+            logger.info(`Circuit breaker for ${this.host} closed again.`);
+        }
+        this.state = STATE_CLOSED;
+        this.failures = 0;
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.trialInFlight = false;
+        if (this.state === STATE_HALF_OPEN || this.failures >= this.failureThreshold) {
+            if (this.state !== STATE_OPEN) {
+                logger.warn(`Circuit breaker for ${this.host} opened after ${this.failures} consecutive failure(s).`);
+            }
+            this.state = STATE_OPEN;
+            this.openedAt = Date.now();
+        }
+    }
+
+    getState() {
+        return { host: this.host, state: this.state, failures: this.failures };
+    }
+}
+
+const breakers = new Map();
+
+/**
+ * Returns the shared circuit breaker for a host, creating it on first use.
+ * @param {string} host - Upstream host name (e.g., 'en.wikipedia.org').
+ * @returns {CircuitBreaker}
+ */
+const getCircuitBreaker = (host) => {
+    if (!breakers.has(host)) {
+        breakers.set(host, new CircuitBreaker(host));
+    }
+    return breakers.get(host);
+};
+
+module.exports = {
+    CircuitBreaker,
+    CircuitOpenError,
+    getCircuitBreaker,
+};
@@ -0,0 +1,33 @@
+/**
+ * Creates a limiter that runs at most `maxConcurrent` async tasks at once; extra tasks wait in FIFO order.
+ * @param {number} maxConcurrent - Maximum number of tasks running at the same time.
+ * @returns {function(function(): Promise): Promise} - Wraps a task factory and resolves with its result.
+ */
+const createLimiter = (maxConcurrent) => {
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= maxConcurrent || queue.length === 0) {
+            return;
+        }
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+};
+
+module.exports = {
+    createLimiter,
+};
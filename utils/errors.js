@@ -0,0 +1,43 @@
+const http = require('http');
+const { getRequestId } = require('./requestContext');
+
+// Machine-readable code per status; a caller may pass a more specific one.
+const CODES_BY_STATUS = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    404: 'not_found',
+    406: 'not_acceptable',
+    429: 'rate_limited',
+    500: 'internal_error',
+    503: 'unavailable',
+};
+
+/**
+ * Builds the error envelope every endpoint answers with:
+ * { error: <human-readable message>, code, requestId, ...details } (details like `field` or `parameter`).
+ * @param {number} status - HTTP status.
+ * @param {string} message
+ * @param {object} [details] - Extra properties; `code` overrides the code derived from the status.
+ * @returns {object}
+ */
+const errorBody = (status, message, { code, ...details } = {}) => ({
+    error: message || http.STATUS_CODES[status],
+    code: code || CODES_BY_STATUS[status] || (status >= 500 ? 'internal_error' : 'bad_request'),
+    requestId: getRequestId(),
+    ...details,
+});
+
+/**
+ * Sends an error response in the common envelope.
+ * @param {object} res - Express response.
+ * @param {number} status - HTTP status.
+ * @param {string} message
+ * @param {object} [details] - See `errorBody`.
+ * @returns {object} - The response, so handlers can `return sendError(...)`.
+ */
+const sendError = (res, status, message, details) => res.status(status).json(errorBody(status, message, details));
+
+module.exports = {
+    errorBody,
+    sendError,
+};
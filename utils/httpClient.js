@@ -0,0 +1,183 @@
+const axios = require('axios');
+const { getCircuitBreaker } = require('./circuitBreaker');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { getRequestId } = require('./requestContext');
+const upstreamRecorder = require('./upstreamRecorder');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 10000;
+const DEFAULT_MAX_RETRIES = process.env.UPSTREAM_MAX_RETRIES !== undefined ? parseInt(process.env.UPSTREAM_MAX_RETRIES, 10) : 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.UPSTREAM_RETRY_BASE_DELAY_MS, 10) || 300;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.UPSTREAM_RETRY_MAX_DELAY_MS, 10) || 5000;
+const MAX_RETRY_AFTER_MS = parseInt(process.env.UPSTREAM_MAX_RETRY_AFTER_MS, 10) || 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stands in for the circuit breaker of clients created with `circuitBreaker: false`.
+const NO_CIRCUIT_BREAKER = { assertCanRequest: () => {}, recordSuccess: () => {}, recordFailure: () => {} };
+
+/**
+ * Decides whether a failed attempt is worth retrying.
+ * Network errors, timeouts, 429 and 5xx responses are transient; other 4xx responses are not.
+ * @param {Error} error - The axios error.
+ * @returns {boolean}
+ */
+const isRetryable = (error) => {
+    if (!error.response) {
+        return true;
+    }
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+};
+
+/**
+ * Parses a Retry-After header (delta-seconds or HTTP date) into milliseconds.
+ * @param {object} response - The axios response.
+ * @returns {number|null} - Delay in milliseconds, or null if absent/unparseable.
+ */
+const parseRetryAfter = (response) => {
+    const header = response && response.headers && response.headers['retry-after'];
+    if (!header) {
+        return null;
+    }
+    const seconds = Number(header);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Exponential backoff with full jitter, honouring Retry-After on 429/503 responses.
+ * @param {number} attempt - Zero-based attempt number that just failed.
+ * @param {Error} error - The axios error.
+ * @returns {number} - Delay in milliseconds before the next attempt.
+ */
+const computeRetryDelay = (attempt, error) => {
+    const status = error.response && error.response.status;
+    if (status === 429 || status === 503) {
+        const retryAfter = parseRetryAfter(error.response);
+        if (retryAfter !== null) {
+            return Math.min(retryAfter, MAX_RETRY_AFTER_MS);
+        }
+    }
+    const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempt));
+    return Math.floor(Math.random() * ceiling);
+};
+
+/**
+ * Creates an HTTP client for one upstream service.
+ * Every request gets a timeout, retries with backoff for transient failures and goes through
+ * the per-host circuit breaker. Errors are the original axios errors, so callers can still inspect `error.response`.
+ * @param {object} options
+ * @param {string} options.name - Label used in log lines (e.g., 'pollution').
+ * @param {string} [options.baseURL] - Base URL prepended to relative request URLs.
+ * @param {object} [options.headers] - Headers sent with every request.
+ * @param {number} [options.timeout] - Per-request timeout in milliseconds.
+ * @param {number} [options.maxRetries] - Retries after the first attempt.
+ * @param {object} [options.httpAgent] - Agent for http: URLs (e.g. one with a custom DNS lookup); Node's default when omitted.
+ * @param {object} [options.httpsAgent] - Agent for https: URLs.
+ * @param {number} [options.maxRedirects=5] - Redirects followed; 0 makes a 3xx response an error.
+ * @param {boolean} [options.circuitBreaker=true] - Whether calls go through the per-host circuit breaker. Clients whose
+ *   hosts are chosen by API users (webhooks) turn it off, so the breakers are only kept for hosts the operator configured.
+ * @param {string} [options.metricsHost] - Fixed `host` label for the upstream metrics instead of each request's host,
+ *   for the same clients: per-host labels would let API users create time series at will.
+ * @param {boolean} [options.recordable=false] - Whether UPSTREAM_MODE=record|replay applies to this client
+ *   (see utils/upstreamRecorder.js). In replay mode, requests are answered from fixtures without retries or circuit breaker.
+ * @returns {object} - { request, get, post }
+ */
+const createUpstreamClient = ({
+    name,
+    baseURL,
+    headers = {},
+    timeout = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    httpAgent,
+    httpsAgent,
+    maxRedirects = 5,
+    circuitBreaker = true,
+    metricsHost,
+    recordable = false,
+}) => {
+    const mode = recordable ? upstreamRecorder.UPSTREAM_MODE : 'live';
+
+    const sendWithRetries = async (url, config) => {
+        const breaker = circuitBreaker ? getCircuitBreaker(url.host) : NO_CIRCUIT_BREAKER;
+        const host = metricsHost || url.host;
+        // Lets upstream logs be correlated with the API request that caused the call.
+        const requestId = getRequestId();
+        const requestHeaders = { ...headers, ...(requestId ? { 'X-Request-Id': requestId } : {}), ...config.headers };
+
+        for (let attempt = 0; ; attempt++) {
+            breaker.assertCanRequest();
+            const startedAt = process.hrtime.bigint();
+            const durationSeconds = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+            try {
+                const response = await axios.request({
+                    timeout: timeout,
+                    httpAgent: httpAgent,
+                    httpsAgent: httpsAgent,
+                    maxRedirects: maxRedirects,
+                    ...config,
+                    url: url.toString(),
+                    headers: requestHeaders,
+                });
+                metrics.recordUpstreamAttempt({ host: host, outcome: response.status, failed: false, durationSeconds: durationSeconds() });
+                breaker.recordSuccess();
+                return response;
+            } catch (error) {
+                metrics.recordUpstreamAttempt({
+                    host: host,
+                    outcome: error.response ? error.response.status : error.code || 'error',
+                    failed: isRetryable(error),
+                    durationSeconds: durationSeconds(),
+                });
+                if (!isRetryable(error)) {
+                    // The host answered; a 4xx says nothing about its health.
+                    breaker.recordSuccess();
+                    throw error;
+                }
+                breaker.recordFailure();
+                if (attempt >= maxRetries) {
+                    throw error;
+                }
+                const delay = computeRetryDelay(attempt, error);
+                const reason = error.response ? `status ${error.response.status}` : error.code || error.message;
+                logger.warn(`[${name}] ${config.method || 'get'} ${url.pathname} failed (${reason}); retry ${attempt + 1}/${maxRetries} in ${delay}ms.`);
+                await sleep(delay);
+            }
+        }
+    };
+
+    const request = async (config) => {
+        const url = new URL(config.url, baseURL);
+        if (mode === 'replay') {
+            return upstreamRecorder.replayFixture(name, upstreamRecorder.getFixtureKey(url, config));
+        }
+        if (mode === 'record') {
+            const fixtureKey = upstreamRecorder.getFixtureKey(url, config);
+            try {
+                const response = await sendWithRetries(url, config);
+                upstreamRecorder.recordFixture(name, fixtureKey, response);
+                return response;
+            } catch (error) {
+                if (error.response) {
+                    upstreamRecorder.recordFixture(name, fixtureKey, error.response);
+                }
+                throw error;
+            }
+        }
+        return sendWithRetries(url, config);
+    };
+
+    return {
+        request,
+        get: (url, config = {}) => request({ ...config, method: 'get', url }),
+        post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+    };
+};
+
+module.exports = {
+    createUpstreamClient,
+};
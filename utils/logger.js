@@ -0,0 +1,52 @@
+const dotenv = require('dotenv');
+const { getRequestId } = require('./requestContext');
+
+dotenv.config();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json'; // 'text' is easier to read in a terminal
+
+/**
+ * Makes Error values serialisable (JSON.stringify drops their message and stack).
+ */
+const serializeField = (value) => value instanceof Error
+    ? { name: value.name, message: value.message, stack: value.stack }
+    : value;
+
+/**
+ * Writes one log line: a JSON object with time, level, msg, the current request ID (if any) and `fields`.
+ * Warnings and errors go to stderr, everything else to stdout.
+ * @param {string} level - 'debug', 'info', 'warn' or 'error'.
+ * @param {string} message
+ * @param {object} [fields] - Structured context, e.g. { country, error: error.message }.
+ */
+const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+        return;
+    }
+    const requestId = getRequestId();
+    const entry = {
+        time: new Date().toISOString(),
+        level: level,
+        msg: message,
+        ...(requestId ? { requestId } : {}),
+        ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, serializeField(value)])),
+    };
+
+    let line;
+    if (LOG_FORMAT === 'json') {
+        line = JSON.stringify(entry);
+    } else {
+        const { time, level: entryLevel, msg, ...rest } = entry;
+        line = `${time} ${entryLevel.toUpperCase().padEnd(5)} ${msg}${Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : ''}`;
+    }
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+module.exports = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+};
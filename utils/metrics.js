@@ -0,0 +1,115 @@
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register }); // Process CPU, memory, event loop lag, ...
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Duration of HTTP requests served by this API.',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [register],
+});
+
+const cacheLookups = new client.Counter({
+    name: 'cache_lookups_total',
+    help: 'Cache lookups per namespace and result (hit or miss).',
+    labelNames: ['namespace', 'result'],
+    registers: [register],
+});
+
+// Derived from cache_lookups_total when scraped, for dashboards that want the ratio directly.
+new client.Gauge({
+    name: 'cache_hit_ratio',
+    help: 'Share of cache lookups that were hits since start-up, per namespace.',
+    labelNames: ['namespace'],
+    registers: [register],
+    async collect() {
+        const { values } = await cacheLookups.get();
+        const totals = {};
+        for (const { labels, value } of values) {
+            const namespace = totals[labels.namespace] || (totals[labels.namespace] = { hit: 0, all: 0 });
+            namespace.all += value;
+            if (labels.result === 'hit') {
+                namespace.hit += value;
+            }
+        }
+        this.reset();
+        Object.entries(totals).forEach(([namespace, { hit, all }]) => this.set({ namespace }, all > 0 ? hit / all : 0));
+    },
+});
+
+const upstreamRequests = new client.Counter({
+    name: 'upstream_requests_total',
+    help: 'Attempts of calls to upstream APIs, per host and outcome (HTTP status, or the network error code). Webhook deliveries are counted under host="webhook".',
+    labelNames: ['host', 'outcome'],
+    registers: [register],
+});
+
+const upstreamErrors = new client.Counter({
+    name: 'upstream_errors_total',
+    help: 'Failed upstream attempts (network errors, timeouts, 429 and 5xx), per host.',
+    labelNames: ['host'],
+    registers: [register],
+});
+
+const upstreamDuration = new client.Histogram({
+    name: 'upstream_request_duration_seconds',
+    help: 'Duration of upstream call attempts, per host.',
+    labelNames: ['host'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register],
+});
+
+const cityEntries = new client.Counter({
+    name: 'city_entries_total',
+    help: 'Upstream city entries processed by dataset builds, per country and stage ("accepted", or the stage that filtered them out).',
+    labelNames: ['country', 'stage'],
+    registers: [register],
+});
+
+/**
+ * @param {object} request - { method, route, status, durationSeconds }
+ */
+const observeHttpRequest = ({ method, route, status, durationSeconds }) => {
+    httpRequestDuration.observe({ method, route, status: String(status) }, durationSeconds);
+};
+
+/**
+ * @param {string} namespace - Cache namespace.
+ * @param {boolean} hit
+ */
+const recordCacheLookup = (namespace, hit) => {
+    cacheLookups.inc({ namespace, result: hit ? 'hit' : 'miss' });
+};
+
+/**
+ * @param {object} attempt - { host, outcome, failed, durationSeconds }
+ */
+const recordUpstreamAttempt = ({ host, outcome, failed, durationSeconds }) => {
+    upstreamRequests.inc({ host, outcome: String(outcome) });
+    upstreamDuration.observe({ host }, durationSeconds);
+    if (failed) {
+        upstreamErrors.inc({ host });
+    }
+};
+
+/**
+ * Counts the outcome of one dataset build.
+ * @param {Array<object>} cities - Accepted cities.
+ * @param {Array<object>} rejected - Rejection records (with `country` and `stage`).
+ */
+const recordDatasetEntries = (cities, rejected) => {
+    // Country codes come from upstream data; anything odd is bucketed so it cannot blow up the label set.
+    const countryLabel = (country) => typeof country === 'string' && /^[A-Z]{2}$/i.test(country) ? country.toUpperCase() : 'unknown';
+    cities.forEach(city => cityEntries.inc({ country: countryLabel(city.country), stage: 'accepted' }));
+    rejected.forEach(rejection => cityEntries.inc({ country: countryLabel(rejection.country), stage: rejection.stage }));
+};
+
+module.exports = {
+    register,
+    observeHttpRequest,
+    recordCacheLookup,
+    recordUpstreamAttempt,
+    recordDatasetEntries,
+};
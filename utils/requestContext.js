@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Caller-supplied IDs are reused only if they are short and cannot smuggle anything into logs or headers.
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Carries { requestId } through every callback and promise started while handling a request.
+const storage = new AsyncLocalStorage();
+
+/**
+ * The ID to handle a request under: the caller's X-Request-Id if it looks sane, otherwise a new UUID.
+ * @param {string} [header] - The X-Request-Id request header.
+ * @returns {string}
+ */
+const resolveRequestId = (header) => typeof header === 'string' && VALID_REQUEST_ID.test(header) ? header : crypto.randomUUID();
+
+/**
+ * Runs `fn` with a request context; everything it starts (including upstream calls) sees the same context.
+ * @param {object} context - { requestId }
+ * @param {function(): *} fn
+ * @returns {*} - Whatever `fn` returns.
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * @returns {string|null} - ID of the request being handled, or null outside a request (e.g. schedulers).
+ */
+const getRequestId = () => {
+    const context = storage.getStore();
+    return context ? context.requestId : null;
+};
+
+module.exports = {
+    resolveRequestId,
+    runWithContext,
+    getRequestId,
+};
@@ -0,0 +1,39 @@
+/**
+ * Folds a name for comparisons: lower case, diacritics removed, whitespace collapsed.
+ * "Kraków", "KRAKOW" and " krakow " all fold to "krakow".
+ * @param {string} value
+ * @returns {string}
+ */
+const foldName = (value) => String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ł/g, 'l')
+    .replace(/Ł/g, 'L')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Cleans an upstream city name for lookups: drops descriptors in parentheses and normalises casing and spaces.
+ * @param {string} name - e.g. "wArSAW (Zone)".
+ * @returns {string} - e.g. "Warsaw".
+ */
+const cleanCityName = (name) => {
+    // 1. Remove text in parentheses (e.g., "(Zone)", "(District)")
+    let lookupName = name.trim().replace(/\s*\(.+\)\s*/g, '').trim();
+
+    // 2. Standardize casing for lookup (e.g., "wArSAW" -> "Warsaw").
+    // This helps Wikipedia's search, but preserves diacritics and hyphens.
+    lookupName = lookupName.split(' ').map(word => {
+        if (word.length === 0) return '';
+        return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+    }).join(' ').trim();
+
+    // Remove any extra spaces that might result from replacements
+    return lookupName.replace(/\s+/g, ' ').trim();
+};
+
+module.exports = {
+    foldName,
+    cleanCityName,
+};
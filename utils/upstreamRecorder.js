@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const logger = require('./logger');
+
+dotenv.config();
+
+// 'live' (default) calls upstream APIs; 'record' calls them and saves every response as a fixture;
+// 'replay' answers from fixtures only and never touches the network.
+const UPSTREAM_MODE = ['record', 'replay'].includes(process.env.UPSTREAM_MODE) ? process.env.UPSTREAM_MODE : 'live';
+const UPSTREAM_FIXTURES_DIR = process.env.UPSTREAM_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'upstream');
+
+// Fields never written to a fixture, at any depth of a request or response body: the login call sends
+// credentials and gets tokens back.
+const REDACTED_FIELDS = ['password', 'token', 'refreshToken', 'secret'];
+// Response headers worth keeping; the rest (dates, cookies, server banners) would only make fixtures noisy.
+const KEPT_RESPONSE_HEADERS = ['content-type', 'retry-after'];
+
+/**
+ * Thrown in replay mode when no fixture matches a request. It has no `response`, so services treat it
+ * like a network failure.
+ */
+class FixtureNotFoundError extends Error {
+    constructor(fixtureKey, filePath) {
+        super(`No upstream fixture for ${fixtureKey.method.toUpperCase()} ${fixtureKey.path}?${new URLSearchParams(fixtureKey.params)} (expected ${filePath}).`);
+        this.name = 'FixtureNotFoundError';
+        this.code = 'ERR_FIXTURE_NOT_FOUND';
+    }
+}
+
+/**
+ * @param {*} data - A request or response body.
+ * @returns {*} - A copy with every REDACTED_FIELDS value replaced by '[redacted]'; `undefined` becomes null.
+ */
+const redact = (data) => {
+    if (Array.isArray(data)) {
+        return data.map(redact);
+    }
+    if (!data || typeof data !== 'object') {
+        return data === undefined ? null : data;
+    }
+    return Object.fromEntries(Object.entries(data).map(([field, value]) => [field, REDACTED_FIELDS.includes(field) ? '[redacted]' : redact(value)]));
+};
+
+/**
+ * What identifies a request in a fixture: method, path, sorted query parameters and the (redacted) body.
+ * The host and headers are left out, so fixtures recorded against one base URL replay against another,
+ * and calls that differ only in their Bearer Token share a fixture.
+ * @param {URL} url - Absolute request URL.
+ * @param {object} config - The axios request config; its `params` are merged with the URL's query string.
+ * @returns {object} - { method, path, params, data }
+ */
+const getFixtureKey = (url, config) => {
+    const searchParams = new URLSearchParams(url.search);
+    Object.entries(config.params || {})
+        .filter(([, value]) => value !== undefined && value !== null)
+        .forEach(([name, value]) => searchParams.append(name, String(value)));
+    return {
+        method: (config.method || 'get').toLowerCase(),
+        path: url.pathname,
+        params: Object.fromEntries(Array.from(searchParams.entries()).sort(([a], [b]) => a.localeCompare(b))),
+        data: redact(config.data),
+    };
+};
+
+/**
+ * @param {string} client - Name of the upstream client (e.g. 'wikipedia:en'), which is also its fixture directory.
+ * @param {object} fixtureKey - From `getFixtureKey`.
+ * @returns {string} - Path of the fixture file, e.g. fixtures/upstream/wikipedia-en/get-3f2a9c0d1b7e4a55.json
+ */
+const getFixturePath = (client, fixtureKey) => {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(fixtureKey)).digest('hex').slice(0, 16);
+    return path.join(UPSTREAM_FIXTURES_DIR, client.replace(/[^\w.-]/g, '-'), `${fixtureKey.method}-${hash}.json`);
+};
+
+/**
+ * Saves the (redacted) response or error response of one upstream call as a fixture. Failures are logged, never thrown:
+ * recording must not break the call it records.
+ * @param {string} client - Name of the upstream client.
+ * @param {object} fixtureKey - From `getFixtureKey`.
+ * @param {object} response - The axios response.
+ */
+const recordFixture = (client, fixtureKey, response) => {
+    const filePath = getFixturePath(client, fixtureKey);
+    const fixture = {
+        request: fixtureKey,
+        response: {
+            status: response.status,
+            headers: Object.fromEntries(KEPT_RESPONSE_HEADERS.filter(name => response.headers && response.headers[name] !== undefined)
+                .map(name => [name, String(response.headers[name])])),
+            data: redact(response.data),
+        },
+        recordedAt: new Date().toISOString(),
+    };
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, `${JSON.stringify(fixture, null, 2)}\n`);
+        fs.renameSync(tempPath, filePath);
+        logger.debug(`Recorded ${client} fixture ${path.relative(UPSTREAM_FIXTURES_DIR, filePath)}.`);
+    } catch (error) {
+        logger.error(`Failed to record ${client} fixture ${filePath}`, { error: error.message });
+    }
+};
+
+/**
+ * Answers a request from its fixture, the way axios would have: the response for 2xx, otherwise an error
+ * carrying `response`.
+ * @param {string} client - Name of the upstream client.
+ * @param {object} fixtureKey - From `getFixtureKey`.
+ * @returns {Promise<object>} - An axios-like response { status, headers, data }.
+ * @throws {FixtureNotFoundError|Error} - Missing fixture, or the recorded error response.
+ */
+const replayFixture = async (client, fixtureKey) => {
+    const filePath = getFixturePath(client, fixtureKey);
+    let fixture;
+    try {
+        fixture = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new FixtureNotFoundError(fixtureKey, filePath);
+        }
+        throw error;
+    }
+
+    const response = { ...fixture.response, headers: fixture.response.headers || {} };
+    if (response.status >= 200 && response.status < 300) {
+        return response;
+    }
+    const error = new Error(`Request failed with status code ${response.status}`);
+    error.response = response;
+    error.isReplayed = true;
+    throw error;
+};
+
+module.exports = {
+    UPSTREAM_MODE,
+    UPSTREAM_FIXTURES_DIR,
+    FixtureNotFoundError,
+    getFixtureKey,
+    getFixturePath,
+    recordFixture,
+    replayFixture,
+};
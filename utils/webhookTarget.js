@@ -0,0 +1,122 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Hosts (names or addresses) that webhooks may reach even though they are private, e.g. 'localhost,10.0.0.5'
+// for a receiver on the same machine or network. Empty by default: only public addresses are allowed.
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// Loopback, private, link-local (including cloud metadata at 169.254.169.254), shared, reserved and multicast ranges.
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], // :: and ::1
+    ['64:ff9b::', 96], // NAT64
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error for a webhook target that resolves to an address webhooks must not reach.
+ */
+class WebhookTargetError extends Error {
+    constructor(hostname, address) {
+        super(hostname === address
+            ? `${address} is a private or loopback address.`
+            : `${hostname} resolves to ${address}, a private or loopback address.`);
+        this.name = 'WebhookTargetError';
+        this.code = 'ERR_WEBHOOK_TARGET_BLOCKED';
+        this.hostname = hostname;
+        this.address = address;
+    }
+}
+
+/**
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean} - Whether the address is outside the public internet.
+ */
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) {
+        return true;
+    }
+    // An IPv4-mapped IPv6 address (::ffff:127.0.0.1, or ::ffff:7f00:1 as URLs write it) reaches the IPv4 address.
+    const mapped = family === 6 && address.toLowerCase().match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (mapped) {
+        const ipv4 = mapped[1] || [mapped[2], mapped[3]]
+            .map(group => parseInt(group, 16))
+            .flatMap(value => [value >> 8, value & 0xff])
+            .join('.');
+        return PRIVATE_RANGES.check(ipv4, 'ipv4');
+    }
+    return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * @param {string} hostname - As it appears in the URL (IPv6 addresses without brackets).
+ * @param {string} address - One address the hostname resolved to.
+ * @returns {boolean} - Whether a webhook may connect to the address.
+ */
+const isAllowed = (hostname, address) => !isPrivateAddress(address)
+    || WEBHOOK_ALLOWED_HOSTS.includes(hostname.toLowerCase())
+    || WEBHOOK_ALLOWED_HOSTS.includes(address.toLowerCase());
+
+/**
+ * Resolves a callback URL's host and checks every address it resolves to. Addresses given literally
+ * in the URL are checked without DNS.
+ * @param {URL} url
+ * @returns {Promise<void>}
+ * @throws {WebhookTargetError} - If any address is private and not allowlisted; DNS errors are passed on.
+ */
+const assertAllowedTarget = async (url) => {
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    const addresses = net.isIP(hostname)
+        ? [hostname]
+        : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    const blocked = addresses.find(address => !isAllowed(hostname, address));
+    if (blocked) {
+        throw new WebhookTargetError(hostname, blocked);
+    }
+};
+
+/**
+ * `lookup` for the webhook agents: the same check as `assertAllowedTarget`, but on the addresses the
+ * connection is actually made to, so a DNS answer that changes after validation (rebinding) is caught too.
+ */
+const guardedLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        const blocked = addresses.find(entry => !isAllowed(hostname, entry.address));
+        if (blocked) {
+            return callback(new WebhookTargetError(hostname, blocked.address));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// For the webhook client only; the upstream APIs are configured by the operator and may well be private.
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+module.exports = {
+    WEBHOOK_ALLOWED_HOSTS,
+    WebhookTargetError,
+    isPrivateAddress,
+    assertAllowedTarget,
+    httpAgent,
+    httpsAgent,
+};